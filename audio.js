@@ -0,0 +1,336 @@
+// Sound effects synthesized with WebAudio (no sound files): footsteps, tree shake, snow bursts, bee buzz,
+// pickups, meows, doors and the game-over sting; plus looping procedural music tracks (TRACKS).
+//   const audio = createAudio({ master: 0.8, sfx: 1.0, music: 0.6, muted: false });
+//   audio.unlock();                          // from a user gesture (browsers start audio suspended)
+//   audio.setListener(x, z, rightX, rightZ); // player position + screen-right direction on the ground
+//   audio.play('pickup', { x, z });          // positional: quieter with distance, panned left/right
+//   audio.setMusic('night'); audio.updateMusic(); // crossfade to a track; updateMusic() every frame schedules it
+(function(root, factory){
+  const api = factory();
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else root.IslandAudio = api;
+})(this, function(){
+
+const AUDIO_REF = 6.0;   // distance where a positional sound is at half volume
+const AUDIO_MAX = 34.0;  // farther than this: not played
+const BUZZ_GAIN = 0.14;  // one bee right next to the player
+const MUSIC_FADE = 2.0;  // crossfade seconds
+const MUSIC_AHEAD = 0.3; // notes are scheduled this far ahead
+
+const clamp = (v, a, b) => Math.max(a, Math.min(b, v));
+
+// ---- Music tracks ----
+// A step is an 8th note, 8 steps a bar. chords = scale degree of each bar's triad (looped),
+// melody / bass = one char per step: scale degree ('0'-'9', bass relative to the bar's chord) or '.' rest,
+// hat = 'x' where a soft noise tick goes. Lead plays at root, pad an octave and bass two octaves below.
+const MAJOR = [0, 2, 4, 5, 7, 9, 11];
+const MINOR = [0, 2, 3, 5, 7, 8, 10];
+const TRACKS = {
+  day:    { bpm: 100, root: 67, scale: MAJOR, lead: 'triangle', pad: 'sine', gain: 0.50, chords: [0, 3, 4, 0],
+            melody: '4.2.0.2.|5.7.5.3.|4.6.8.6.|7...4...', bass: '0...0.4.' },
+  eve:    { bpm: 84,  root: 65, scale: MAJOR, lead: 'sine', pad: 'sine', gain: 0.50, chords: [0, 5, 3, 4],
+            melody: '4...2.4.|5...4...|3...5.3.|1.......', bass: '0.......' },
+  night:  { bpm: 64,  root: 69, scale: MINOR, lead: 'sine', pad: 'sine', gain: 0.42, chords: [0, 5, 3, 4],
+            melody: '4.......|2...0...|3.......|1...4...', bass: '0.......' },
+  dawn:   { bpm: 80,  root: 72, scale: MAJOR, lead: 'triangle', pad: 'sine', gain: 0.45, chords: [0, 4, 5, 3],
+            melody: '0.4.7.4.|6.4.2...|5.3.1.3.|4.......', bass: '0...4...' },
+  chase:  { bpm: 150, root: 64, scale: MINOR, lead: 'square', pad: 'sawtooth', gain: 0.42, chords: [0, 0, 5, 6],
+            melody: '0.0.3.0.|4.3.0...|0.0.3.5.|6.5.4.3.', bass: '00000000', hat: 'x.x.x.x.' },
+  indoor: { bpm: 72,  root: 74, scale: MAJOR, lead: 'triangle', pad: 'sine', gain: 0.40, chords: [0, 3, 0, 4],
+            melody: '0.2.4.2.|3.5.7.5.|4.2.0.2.|1.4.0...', bass: '0...4...' },
+  finale: { bpm: 104, root: 65, scale: MAJOR, lead: 'triangle', pad: 'sine', gain: 0.55, chords: [0, 4, 5, 3],
+            melody: '4.4.5.4.|2...4...|5.5.7.5.|3...2...', bass: '0.0.4.0.', hat: '....x...' },
+};
+for (const tr of Object.values(TRACKS)) tr.melody = tr.melody.replace(/\|/g, '');
+
+// frequency of scale degree `deg` (may pass the octave) of a track, shifted by whole octaves
+function degreeFreq(tr, deg, octave){
+  const n = tr.scale.length;
+  const semi = tr.scale[((deg % n) + n) % n] + 12 * (Math.floor(deg / n) + octave);
+  return 440 * Math.pow(2, (tr.root + semi - 69) / 12);
+}
+
+function createAudio(opts = {}){
+  const vol = { master: opts.master ?? 0.8, sfx: opts.sfx ?? 1.0, music: opts.music ?? 0.6 };
+  let muted = !!opts.muted;
+  let ctx = null, master = null, sfxBus = null, musicBus = null, noise = null;
+  const listener = { x:0, z:0, rx:1, rz:0 };
+  const buzz = new Map(); // bee id -> { osc, lfo, gain, pan }
+
+  // The context is made on the first unlock() (creating it earlier only earns a console warning)
+  function init(){
+    const Ctx = typeof window !== 'undefined' ? (window.AudioContext || window.webkitAudioContext) : null;
+    if (ctx || !Ctx) return !!ctx;
+    try{ ctx = new Ctx(); }catch{ return false; }
+    master = ctx.createGain();
+    master.connect(ctx.destination);
+    sfxBus = ctx.createGain();
+    sfxBus.connect(master);
+    musicBus = ctx.createGain();
+    musicBus.connect(master);
+    // 1 s of white noise shared by every noisy sound
+    noise = ctx.createBuffer(1, ctx.sampleRate, ctx.sampleRate);
+    const d = noise.getChannelData(0);
+    for (let i=0; i<d.length; i++) d[i] = Math.random()*2 - 1;
+    applyVolume();
+    return true;
+  }
+  const live = () => !!ctx && ctx.state === 'running';
+  function applyVolume(){
+    if (!ctx) return;
+    master.gain.setTargetAtTime(muted ? 0 : vol.master, ctx.currentTime, 0.03);
+    sfxBus.gain.setTargetAtTime(vol.sfx, ctx.currentTime, 0.03);
+    musicBus.gain.setTargetAtTime(vol.music, ctx.currentTime, 0.03);
+  }
+
+  // gain + pan for a sound at (x, z) heard from the listener
+  function place(x, z){
+    const dx = x - listener.x, dz = z - listener.z;
+    const d = Math.hypot(dx, dz);
+    if (d > AUDIO_MAX) return { gain: 0, pan: 0 };
+    return {
+      gain: 1 / (1 + (d/AUDIO_REF)*(d/AUDIO_REF)),
+      pan: d > 0.5 ? clamp((dx*listener.rx + dz*listener.rz) / d, -1, 1) * 0.8 : 0,
+    };
+  }
+  // output node for one sound (-> pan -> sfx bus)
+  function output(gain, pan){
+    const out = ctx.createGain();
+    out.gain.value = gain;
+    if (ctx.createStereoPanner) {
+      const p = ctx.createStereoPanner();
+      p.pan.value = pan;
+      out.connect(p).connect(sfxBus);
+    } else {
+      out.connect(sfxBus);
+    }
+    return out;
+  }
+
+  // ---- Building blocks ----
+  function env(t, attack, peak, decay){
+    const g = ctx.createGain();
+    g.gain.setValueAtTime(0.0001, t);
+    g.gain.exponentialRampToValueAtTime(peak, t + attack);
+    g.gain.exponentialRampToValueAtTime(0.0001, t + attack + decay);
+    return g;
+  }
+  function noiseSrc(t, dur, rate = 1){
+    const s = ctx.createBufferSource();
+    s.buffer = noise;
+    s.playbackRate.value = rate;
+    s.start(t, Math.random() * 0.5, dur + 0.05);
+    return s;
+  }
+  function tone(type, f0, f1, t, dur){
+    const o = ctx.createOscillator();
+    o.type = type;
+    o.frequency.setValueAtTime(f0, t);
+    if (f1) o.frequency.exponentialRampToValueAtTime(f1, t + dur);
+    o.start(t);
+    o.stop(t + dur + 0.05);
+    return o;
+  }
+  function filter(type, freq, q = 1){
+    const f = ctx.createBiquadFilter();
+    f.type = type;
+    f.frequency.value = freq;
+    f.Q.value = q;
+    return f;
+  }
+
+  // ---- Sounds: (out, t, pitch) ----
+  const SOUNDS = {
+    // crunchy, low
+    stepSnow(out, t){
+      noiseSrc(t, 0.12, 0.55).connect(filter('lowpass', 800 + Math.random()*400)).connect(env(t, 0.005, 0.55, 0.09)).connect(out);
+    },
+    // short hiss
+    stepSand(out, t){
+      noiseSrc(t, 0.08).connect(filter('highpass', 2600)).connect(env(t, 0.004, 0.22, 0.05)).connect(out);
+    },
+    // soft knock on the indoor floor
+    stepFloor(out, t){
+      tone('sine', 150, 90, t, 0.08).connect(env(t, 0.004, 0.30, 0.07)).connect(out);
+    },
+    // leaves: a few rustles in a row
+    shake(out, t){
+      const bp = filter('bandpass', 2200, 0.8);
+      bp.connect(out);
+      for (let i=0; i<4; i++) {
+        const ti = t + i*0.09;
+        noiseSrc(ti, 0.14, 0.9 + Math.random()*0.3).connect(env(ti, 0.01, 0.35 - i*0.05, 0.11)).connect(bp);
+      }
+    },
+    // snow sliding off: noise with a falling lowpass
+    snow(out, t){
+      const lp = filter('lowpass', 2600);
+      lp.frequency.setValueAtTime(2600, t);
+      lp.frequency.exponentialRampToValueAtTime(380, t + 0.6);
+      noiseSrc(t, 0.65, 0.8).connect(lp).connect(env(t, 0.04, 0.32, 0.55)).connect(out);
+    },
+    pickup(out, t){
+      tone('sine', 880, 0, t, 0.12).connect(env(t, 0.01, 0.30, 0.11)).connect(out);
+      tone('sine', 1320, 0, t + 0.08, 0.18).connect(env(t + 0.08, 0.01, 0.28, 0.16)).connect(out);
+    },
+    // up and down glide through a vowel-ish band
+    meow(out, t, pitch = 1){
+      const o = ctx.createOscillator();
+      o.type = 'sawtooth';
+      o.frequency.setValueAtTime(520*pitch, t);
+      o.frequency.exponentialRampToValueAtTime(780*pitch, t + 0.14);
+      o.frequency.exponentialRampToValueAtTime(430*pitch, t + 0.48);
+      o.start(t);
+      o.stop(t + 0.55);
+      o.connect(filter('bandpass', 1150*pitch, 3.5)).connect(env(t, 0.05, 0.45, 0.45)).connect(out);
+    },
+    // thump + short creak
+    door(out, t){
+      tone('sine', 110, 55, t, 0.25).connect(env(t, 0.005, 0.55, 0.24)).connect(out);
+      tone('sawtooth', 190, 150, t + 0.02, 0.32).connect(filter('bandpass', 620, 8)).connect(env(t + 0.02, 0.06, 0.12, 0.26)).connect(out);
+    },
+    // slow rising lullaby chime (bed)
+    sleep(out, t){
+      [392, 494, 587, 784].forEach((f, i) => {
+        const ti = t + i*0.32;
+        tone('sine', f, 0, ti, 0.9).connect(env(ti, 0.03, 0.22, 0.85)).connect(out);
+      });
+    },
+    // falling minor line
+    gameOver(out, t){
+      [523, 415, 311, 233].forEach((f, i) => {
+        const ti = t + i*0.22;
+        const last = i === 3;
+        tone('triangle', f, last ? f*0.94 : 0, ti, last ? 0.9 : 0.2).connect(env(ti, 0.01, 0.35, last ? 0.85 : 0.18)).connect(out);
+      });
+    },
+  };
+
+  // opts: { x, z } for a positional sound, vol (0..1), pitch (meow)
+  function play(name, opts = {}){
+    const fn = SOUNDS[name];
+    if (!fn || !live() || muted) return;
+    const at = opts.x !== undefined ? place(opts.x, opts.z) : { gain: 1, pan: 0 };
+    if (at.gain <= 0.01) return;
+    fn(output(at.gain * (opts.vol ?? 1), at.pan), ctx.currentTime + 0.005, opts.pitch);
+  }
+
+  // ---- Bee buzz: one droning voice per bee, following it ----
+  function makeBuzz(id){
+    const osc = ctx.createOscillator();
+    osc.type = 'sawtooth';
+    osc.frequency.value = 190 + (id % 5) * 9;
+    // wing wobble
+    const lfo = ctx.createOscillator();
+    lfo.frequency.value = 7 + (id % 3);
+    const depth = ctx.createGain();
+    depth.gain.value = 14;
+    lfo.connect(depth).connect(osc.frequency);
+    const gain = ctx.createGain();
+    gain.gain.value = 0;
+    const pan = ctx.createStereoPanner ? ctx.createStereoPanner() : null;
+    osc.connect(filter('lowpass', 1100, 2)).connect(gain);
+    if (pan) gain.connect(pan).connect(sfxBus); else gain.connect(sfxBus);
+    osc.start();
+    lfo.start();
+    return { osc, lfo, gain, pan };
+  }
+  // bees = [{ id, x, z }] that should be heard now ([] = silence them all)
+  function updateBuzz(bees){
+    if (!ctx) return;
+    const t = ctx.currentTime;
+    const seen = new Set();
+    if (live()) {
+      for (const b of bees) {
+        seen.add(b.id);
+        let v = buzz.get(b.id);
+        if (!v) buzz.set(b.id, v = makeBuzz(b.id));
+        const at = place(b.x, b.z);
+        v.gain.gain.setTargetAtTime(at.gain * BUZZ_GAIN, t, 0.06);
+        if (v.pan) v.pan.pan.setTargetAtTime(at.pan, t, 0.06);
+      }
+    }
+    for (const [id, v] of buzz) {
+      if (seen.has(id)) continue;
+      v.gain.gain.setTargetAtTime(0, t, 0.05);
+      v.osc.stop(t + 0.3);
+      v.lfo.stop(t + 0.3);
+      buzz.delete(id);
+    }
+  }
+
+  // ---- Music: the wanted track fades in, the others fade out and are dropped ----
+  let musicId = null;
+  const tracks = []; // { id, def, out, step, next, stopAt } playing or fading out
+  function note(out, wave, freq, t, dur, peak, attack){
+    const o = ctx.createOscillator();
+    o.type = wave;
+    o.frequency.value = freq;
+    o.start(t);
+    o.stop(t + dur + 0.05);
+    o.connect(env(t, attack, peak, Math.max(0.05, dur - attack))).connect(out);
+  }
+  function scheduleStep(p, t){
+    const d = p.def;
+    const i = p.step % d.melody.length;
+    const stepDur = 60 / d.bpm / 2;
+    const chord = d.chords[Math.floor(i / 8) % d.chords.length];
+    // pad: the bar's triad, slow swell
+    if (i % 8 === 0) for (const k of [0, 2, 4]) note(p.out, d.pad, degreeFreq(d, chord + k, -1), t, stepDur*8, 0.05, stepDur*2);
+    const m = d.melody[i];
+    if (m !== '.') note(p.out, d.lead, degreeFreq(d, +m, 0), t, stepDur*1.6, 0.12, 0.012);
+    const b = d.bass[i % d.bass.length];
+    if (b !== '.') note(p.out, 'triangle', degreeFreq(d, chord + (+b), -2), t, stepDur*1.8, 0.16, 0.01);
+    if (d.hat && d.hat[i % d.hat.length] === 'x') {
+      noiseSrc(t, 0.04).connect(filter('highpass', 6000)).connect(env(t, 0.002, 0.05, 0.035)).connect(p.out);
+    }
+  }
+  // every frame: start / fade tracks, schedule the next notes
+  function updateMusic(){
+    if (!live()) return;
+    const now = ctx.currentTime;
+    for (const p of tracks) {
+      if (p.id === musicId || p.stopAt !== null) continue;
+      p.out.gain.setTargetAtTime(0.0001, now, MUSIC_FADE / 4);
+      p.stopAt = now + MUSIC_FADE;
+    }
+    if (musicId && !tracks.some(p => p.id === musicId && p.stopAt === null)) {
+      const def = TRACKS[musicId];
+      const out = ctx.createGain();
+      out.gain.value = 0.0001;
+      out.gain.setTargetAtTime(def.gain, now, MUSIC_FADE / 4);
+      out.connect(musicBus);
+      tracks.push({ id: musicId, def, out, step: 0, next: now + 0.05, stopAt: null });
+    }
+    for (let i=tracks.length-1; i>=0; i--) {
+      const p = tracks[i];
+      if (p.stopAt !== null && now > p.stopAt) { p.out.disconnect(); tracks.splice(i, 1); continue; }
+      // frames stalled (tab in the background etc.): don't rush through the missed notes
+      if (p.next < now) p.next = now + 0.02;
+      while (p.next < now + MUSIC_AHEAD) {
+        scheduleStep(p, p.next);
+        p.next += 60 / p.def.bpm / 2;
+        p.step++;
+      }
+    }
+  }
+
+  return {
+    play, updateBuzz, updateMusic,
+    // TRACKS id, or null for silence (fades either way)
+    setMusic(id){ musicId = TRACKS[id] ? id : null; },
+    get music(){ return musicId; },
+    // call from a user gesture (click / key / touch)
+    unlock(){ if (init() && ctx.state === 'suspended') ctx.resume().catch(()=>{}); },
+    // page hidden: stop the audio thread; visible again: resume (only if it already ran)
+    suspend(v){ if (!ctx) return; if (v) ctx.suspend().catch(()=>{}); else ctx.resume().catch(()=>{}); },
+    setListener(x, z, rx, rz){ Object.assign(listener, { x, z, rx, rz }); },
+    setVolume(kind, v){ if (kind in vol) { vol[kind] = clamp(Number(v) || 0, 0, 1); applyVolume(); } },
+    setMuted(v){ muted = !!v; applyVolume(); },
+    get muted(){ return muted; },
+    get volume(){ return { ...vol }; },
+  };
+}
+
+return { createAudio };
+});
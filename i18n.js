@@ -0,0 +1,553 @@
+// i18n: string tables + t(key, params)
+// - Lookup order: current language -> en -> ja -> the key itself (so untranslated literals still show).
+// - Params: "{name}" is replaced by params.name.
+// - Plurals: an entry can be { one, few, many, other } picked by Intl.PluralRules with params.count.
+// - Static HTML uses data-i18n / data-i18n-title / data-i18n-placeholder / data-i18n-aria (see applyI18n).
+
+const I18N_LANGS = { ja: '日本語', ru: 'Русский', en: 'English' };
+const I18N_FALLBACK = ['en', 'ja'];
+
+const STRINGS = {
+  ja: {
+    'title': 'Valentino island',
+    'welcome': 'harasho danamo',
+    'lang.label': '言語',
+    'start.btn': 'はじめる',
+    'start.go': '行こう！',
+    'slot.label': 'スロット',
+    'slot.new': '新しいスロット',
+    'slot.empty': '{name} · 空き',
+    'slot.export': '書き出し',
+    'slot.import': '読み込み',
+    'slot.prompt': 'スロット名',
+    'slot.badName': 'スロット名は24文字まで（「:」は使えない）',
+    'slot.exists': 'その名前のスロットはもうある',
+    'slot.badJson': 'JSONとして読めない…',
+    'slot.invalid': 'セーブデータが不正: {err}',
+    'slot.overwrite': '«{name}» を上書きする？',
+    'seed.random': 'ランダムな seed',
+    'seed.confirmNew': 'seed {seed}・{mode} で新しい島を作る？（このスロットの進行は消える）',
+    'seed.urlMismatch': 'seed {seed}: このスロットは別の島（「はじめる」で作り直し）',
+    'menu.title': 'ポーズ',
+    'menu.resume': 'つづける',
+    'menu.restart': '最初から',
+    'menu.restartConfirm': '最初からやり直す？セーブは消える',
+    'craft.title': '作業台',
+    'panel.close': 'とじる',
+    'craft.made': '{item}を{count}こ作った！',
+    'craft.questWarn': '{items}はまだクエストで使う。それでも作る？',
+    'journal.title': '日記',
+    'journal.step': '{name}に{items}',
+    'journal.more': '…この先まだ{count}つ',
+    'journal.gate': 'ハートの門へ',
+    'journal.noQuest': 'のんびり過ごす島。やることは自分で決める',
+    'journal.rocks': 'ひっくり返した石: {n}/{total}',
+    'journal.critters': '石の下で会った: {names}',
+    'storage.title': '棚',
+    'storage.bag': '持ち物（Aで棚へ）',
+    'storage.shelf': '棚の中（Aで取り出す）',
+    'storage.empty': 'からっぽ',
+    'storage.put': '{item}を棚に置く',
+    'storage.take': '{item}を取り出す',
+    'pad.connected': '🎮 コントローラー接続: {name}',
+    'pad.disconnected': '🎮 コントローラーが外れた',
+    'go.title': 'GAME OVER',
+    'go.retry': 'Try next time',
+    'go.toilet': 'トイレタイム',
+    'go.toiletToast': '🚽 トイレタイム…（戻ったら Try next time）',
+    'go.default': 'Try next time',
+    'go.stung': '😵 刺された！\nTry next time',
+    'go.coconut': '🥥 ココナッツ直撃…\nTry next time',
+    'bee.nest': '🐝',
+    'door.out': 'そとへ出た',
+    'room.empty': '空虚な部屋だまるで誰かのみたい',
+    'room.rug': 'ふかふかのラグでごろごろした',
+    'bed.sleep': 'ぐっすり眠った… 朝だ（セーブした）',
+    'bed.rest': '少し横になった（セーブした）',
+    'house.enter': '家に入った！',
+    'nothing': 'なにもない…',
+    'tree.snow': '雪が落ちてきた、気持ちいね',
+    'tree.dropped': '木をゆすった！ {item}が落ちた！',
+    'tree.empty': '木をゆすった… 何もない',
+    'rock.found': '石をひっくり返した！ {item}が出てきた！',
+    'rock.nothing': '石をひっくり返した… 何もない',
+    'rock.flipped': 'もうひっくり返した石だ',
+    'rock.critter': '石の下で{name}がすやすや眠っている… そっとしておこう',
+    'rock.hint': '石の裏にタロットの走り書き：「{name}は{items}を待っている」',
+    'rock.hintGate': '石の裏にタロットの走り書き：「カードはそろった。ハートの門へ」',
+    'critter.frog': 'カエル',
+    'critter.hedgehog': 'ハリネズミ',
+    'pickup.got': '{item}を{count}こ手に入れた！',
+    'weather.clear': '雪がやんだ',
+    'weather.light': '雪が降ってきた',
+    'weather.blizzard': '吹雪だ！雪が積もっていく…',
+    'dlg.notNow': 'やめておく',
+    'item.peach': '桃',
+    'item.apple': 'リンゴ',
+    'item.orange': 'オレンジ',
+    'item.dragonfruit': 'ドラゴンフルーツ',
+    'item.tarot_brahma': 'ブラフマーのカード',
+    'item.tarot_vishnu': 'ヴィシュヌのカード',
+    'item.tarot_shiva': 'シヴァのカード',
+    'item.cat_soul_card': '猫の魂のカード',
+    'item.mint': 'ミント',
+    'item.ribbon': 'リボン',
+    'items.entry': '{item}{count}こ',
+    'item.apple_jam': 'リンゴジャム',
+    'item.peach_jam': '桃ジャム',
+    'item.smoothie': 'スムージー',
+    'item.dragon_smoothie': 'ドラゴンスムージー',
+    'item.bee_repellent': '虫よけスプレー',
+    'item.gift_box': 'ギフトボックス',
+    'mode.label': 'モード',
+    'mode.valentino': 'バレンティノ（タロットの試練）',
+    'mode.cozy': 'のんびり雪の島',
+    'mode.urlMismatch': '{mode}: このスロットは別のモードの島（「はじめる」で作り直し）',
+    'bee.gaveUp': '🐝 蜂はあきらめて巣に帰った',
+    'bee.repelled': '🧴 虫よけで巣をいぶした！ 蜂は出てこない',
+    'diff.label': 'むずかしさ',
+    'diff.easy': 'やさしい（蜂 3〜4匹）',
+    'diff.normal': 'ふつう（蜂 3〜5匹）',
+    'diff.hard': 'むずかしい（蜂 5〜7匹・速い・氷の上も追ってくる）',
+    'gfx.label': '画質',
+    'gfx.low': '画質：低（軽い）',
+    'gfx.med': '画質：中',
+    'gfx.high': '画質：高（影あり）',
+    'gfx.auto': '画質：自動（解像度を調整）',
+    'clock.label': '一日の長さ',
+    'clock.fast': '一日：10分',
+    'clock.normal': '一日：20分',
+    'clock.slow': '一日：40分',
+    'clock.real': '一日：現実の時計',
+    'audio.mute': 'ミュート (M)',
+    'audio.master': '音量',
+    'audio.sfx': '効果音',
+    'audio.music': '音楽',
+    'cozy.title': 'Cozy Island',
+    'cozy.hint': '縦持ち / 左下スティックで移動 / 右下Aでアクション（木は1回だけ / 蜂が出たら家へ！）',
+    'cozy.welcome': '雪の島へようこそ！木は1回だけ。蜂が出たら家(真ん中)へ！',
+    'cozy.beeNest': '🐝 蜂の巣だ…！(1秒後に追ってくる) 家に逃げろ！',
+    'cozy.stung': '😵 刺された！ゲームオーバー…',
+    'cozy.coconut': 'ココナッツが落ちてた',
+    'cozy.treeAgain': 'もう何もない…',
+    'cozy.roomIdle': 'ここでA: そとへ',
+    'cozy.name.tama': 'タマ',
+    'cozy.name.mike': 'ミケ',
+    'cozy.name.shiro': 'シロ',
+    'cozy.name.kuro': 'クロ',
+    'cozy.cat.hint': '木は1回だけだにゃ。蜂が出たら家へ！',
+    'item.leaf_ticket': '葉っぱチケット',
+
+    // Valentino quest (quests.js)
+    'vt.orderFail': 'タロットの順番を間違えた！ゲームオーバー…',
+    'vt.dragonFail': 'キャットマンにドラゴンフルーツを渡した…ゲームオーバー！',
+    'vt.name.uplifted': '高揚した猫',
+    'vt.name.wavering': '揺らいだ猫',
+    'vt.name.distant': '遠くを見ている猫',
+    'vt.name.catman': 'キャットマン',
+    'vt.uplifted.need1': 'きょうは気分がいいにゃ！',
+    'vt.uplifted.need2': 'りんごを3つ…',
+    'vt.uplifted.offer': 'そのりんご…いい匂いにゃ。',
+    'vt.uplifted.give': 'りんごを3つ渡す',
+    'vt.uplifted.given': 'ブラフマーの創造（🃏創）を授ける',
+    'vt.uplifted.later': '……そう。',
+    'vt.wavering.need1': 'どうしよう…どうしよう…',
+    'vt.wavering.need2': 'オレンジを3つ…',
+    'vt.wavering.offer': 'オレンジ…持ってるの？',
+    'vt.wavering.give': 'オレンジを3つ渡す',
+    'vt.wavering.given': 'ヴィシュナの維持（🃏維）を授ける',
+    'vt.wavering.later': '……やっぱり、いい。',
+    'vt.distant.need1': '……',
+    'vt.distant.need2': 'ももを3つ…',
+    'vt.distant.offer': '……もも、の匂い。',
+    'vt.distant.give': 'ももを3つ渡す',
+    'vt.distant.given': 'シヴァの破壊（🃏破）を授ける',
+    'vt.distant.later': '……',
+    'vt.catman.offer': '……3つの秩序、揃えたか。',
+    'vt.catman.give': '🃏創🃏維🃏破を渡す',
+    'vt.catman.notYet': 'まだ渡さない',
+    'vt.catman.given': '猫の魂のカード（🖤魂）…受け取れ',
+    'vt.catman.dragonfruit': '……そのドラゴンフルーツ、よこせ。',
+    'vt.catman.giveDragon': 'ドラゴンフルーツを3つ渡す',
+    'vt.catman.keepDragon': '渡さない',
+    'vt.catman.early': 'ドラゴンフルーツを３つもってこいっ',
+    'vt.catman.late': '…3つの秩序（🃏創🃏維🃏破）を揃えろ',
+    'vt.catman.later': '……ふん。',
+    'vt.finale.locked': '🖤 猫の魂のカードがないと入れない…',
+    'vt.finale.toast': '💘 HAPPY VALENTINs DAY',
+    'vt.finale.big': "HAPPY VALENTINE'S DAY",
+  },
+
+  ru: {
+    'title': 'Остров Валентино',
+    'welcome': 'harasho danamo',
+    'lang.label': 'Язык',
+    'start.btn': 'Начать',
+    'start.go': 'Поехали!',
+    'slot.label': 'Слот',
+    'slot.new': 'Новый слот',
+    'slot.empty': '{name} · пусто',
+    'slot.export': 'Экспорт',
+    'slot.import': 'Импорт',
+    'slot.prompt': 'Имя слота',
+    'slot.badName': 'Имя слота — до 24 символов, без «:»',
+    'slot.exists': 'Слот с таким именем уже есть',
+    'slot.badJson': 'Не удалось прочитать JSON…',
+    'slot.invalid': 'Некорректное сохранение: {err}',
+    'slot.overwrite': 'Перезаписать «{name}»?',
+    'seed.random': 'Случайный seed',
+    'seed.confirmNew': 'Создать новый остров ({mode}, seed {seed})? Прогресс в этом слоте будет потерян.',
+    'seed.urlMismatch': 'seed {seed}: в этом слоте другой остров (нажми «Начать», чтобы пересоздать)',
+    'menu.title': 'Пауза',
+    'menu.resume': 'Продолжить',
+    'menu.restart': 'Начать заново',
+    'menu.restartConfirm': 'Начать заново? Сохранение будет удалено.',
+    'craft.title': 'Верстак',
+    'panel.close': 'Закрыть',
+    'craft.made': 'Сделано: {count} {item}!',
+    'craft.questWarn': '{items} ещё нужны для квеста. Всё равно сделать?',
+    'journal.title': 'Дневник',
+    'journal.step': '{name}: {items}',
+    'journal.more': { one: '…и ещё {count} шаг', few: '…и ещё {count} шага', many: '…и ещё {count} шагов', other: '…и ещё {count} шага' },
+    'journal.gate': 'К воротам-сердцу',
+    'journal.noQuest': 'Спокойный остров: чем заняться — решай сам',
+    'journal.rocks': 'Перевёрнуто камней: {n}/{total}',
+    'journal.critters': 'Под камнями встретились: {names}',
+    'storage.title': 'Полка',
+    'storage.bag': 'В сумке (A — на полку)',
+    'storage.shelf': 'На полке (A — забрать)',
+    'storage.empty': 'пусто',
+    'storage.put': 'Положить на полку: {item}',
+    'storage.take': 'Забрать: {item}',
+    'pad.connected': '🎮 Контроллер подключён: {name}',
+    'pad.disconnected': '🎮 Контроллер отключён',
+    'go.title': 'КОНЕЦ ИГРЫ',
+    'go.retry': 'Попробовать ещё раз',
+    'go.toilet': 'Перерыв',
+    'go.toiletToast': '🚽 Перерыв… (когда вернёшься — «Попробовать ещё раз»)',
+    'go.default': 'Повезёт в следующий раз',
+    'go.stung': '😵 Ужалили!\nПовезёт в следующий раз',
+    'go.coconut': '🥥 Кокосом по голове…\nПовезёт в следующий раз',
+    'bee.nest': '🐝',
+    'door.out': 'Ты вышел наружу',
+    'room.empty': 'Пустая комната… будто чья-то чужая',
+    'room.rug': 'Ты повалялся на мягком ковре',
+    'bed.sleep': 'Ты крепко выспался… уже утро (сохранено)',
+    'bed.rest': 'Ты немного полежал (сохранено)',
+    'house.enter': 'Ты зашёл в дом!',
+    'nothing': 'Ничего нет…',
+    'tree.snow': 'Снег посыпался — приятно!',
+    'tree.dropped': 'Ты потряс дерево — выпало: {item}!',
+    'tree.empty': 'Ты потряс дерево… ничего',
+    'rock.found': 'Ты перевернул камень — под ним: {item}!',
+    'rock.nothing': 'Ты перевернул камень… ничего',
+    'rock.flipped': 'Этот камень уже перевёрнут',
+    'rock.critter': 'Под камнем сладко спит {name}… не будем будить',
+    'rock.hint': 'На обороте камня нацарапано таро: «{name} ждёт: {items}»',
+    'rock.hintGate': 'На обороте камня нацарапано таро: «Карты собраны. Иди к воротам-сердцу»',
+    'critter.frog': 'лягушка',
+    'critter.hedgehog': 'ёжик',
+    'pickup.got': 'Нашёл {count} {item}!',
+    'weather.clear': 'Снег перестал',
+    'weather.light': 'Пошёл снег',
+    'weather.blizzard': 'Метель! Снег всё глубже…',
+    'dlg.notNow': 'Не сейчас',
+    'item.peach': { one: 'персик', few: 'персика', many: 'персиков', other: 'персика' },
+    'item.apple': { one: 'яблоко', few: 'яблока', many: 'яблок', other: 'яблока' },
+    'item.orange': { one: 'апельсин', few: 'апельсина', many: 'апельсинов', other: 'апельсина' },
+    'item.dragonfruit': { one: 'драконий фрукт', few: 'драконьих фрукта', many: 'драконьих фруктов', other: 'драконьего фрукта' },
+    'item.tarot_brahma': { one: 'карта Брахмы', few: 'карты Брахмы', many: 'карт Брахмы', other: 'карты Брахмы' },
+    'item.tarot_vishnu': { one: 'карта Вишну', few: 'карты Вишну', many: 'карт Вишну', other: 'карты Вишну' },
+    'item.tarot_shiva': { one: 'карта Шивы', few: 'карты Шивы', many: 'карт Шивы', other: 'карты Шивы' },
+    'item.cat_soul_card': { one: 'карта кошачьей души', few: 'карты кошачьей души', many: 'карт кошачьей души', other: 'карты кошачьей души' },
+    'item.mint': { one: 'веточка мяты', few: 'веточки мяты', many: 'веточек мяты', other: 'веточки мяты' },
+    'item.ribbon': { one: 'ленточка', few: 'ленточки', many: 'ленточек', other: 'ленточки' },
+    'items.entry': '{count} {item}',
+    'item.apple_jam': { one: 'банка яблочного джема', few: 'банки яблочного джема', many: 'банок яблочного джема', other: 'банки яблочного джема' },
+    'item.peach_jam': { one: 'банка персикового джема', few: 'банки персикового джема', many: 'банок персикового джема', other: 'банки персикового джема' },
+    'item.smoothie': 'смузи',
+    'item.dragon_smoothie': 'драконий смузи',
+    'item.bee_repellent': { one: 'флакон репеллента', few: 'флакона репеллента', many: 'флаконов репеллента', other: 'флакона репеллента' },
+    'item.gift_box': { one: 'подарочная коробка', few: 'подарочные коробки', many: 'подарочных коробок', other: 'подарочной коробки' },
+    'mode.label': 'Режим',
+    'mode.valentino': 'Валентино (испытание таро)',
+    'mode.cozy': 'Уютный снежный остров',
+    'mode.urlMismatch': '{mode}: в этом слоте остров другого режима (нажми «Начать», чтобы пересоздать)',
+    'bee.gaveUp': '🐝 Осы сдались и вернулись в гнездо',
+    'bee.repelled': '🧴 Ты окурил гнездо репеллентом — осы не вылетят',
+    'diff.label': 'Сложность',
+    'diff.easy': 'Легко (3–4 осы)',
+    'diff.normal': 'Нормально (3–5 ос)',
+    'diff.hard': 'Сложно (5–7 быстрых ос, летят и над льдом)',
+    'gfx.label': 'Графика',
+    'gfx.low': 'Графика: низкая (быстро)',
+    'gfx.med': 'Графика: средняя',
+    'gfx.high': 'Графика: высокая (тени)',
+    'gfx.auto': 'Графика: авто (разрешение под FPS)',
+    'clock.label': 'Длина дня',
+    'clock.fast': 'День: 10 минут',
+    'clock.normal': 'День: 20 минут',
+    'clock.slow': 'День: 40 минут',
+    'clock.real': 'День: по реальным часам',
+    'audio.mute': 'Без звука (M)',
+    'audio.master': 'Громкость',
+    'audio.sfx': 'Эффекты',
+    'audio.music': 'Музыка',
+    'cozy.title': 'Уютный остров',
+    'cozy.hint': 'Стик слева внизу — ходить, A справа — действие (дерево трясётся один раз, пчёлы — беги домой!)',
+    'cozy.welcome': 'Добро пожаловать на снежный остров! Каждое дерево — один раз. Пчёлы — беги в дом в центре!',
+    'cozy.beeNest': '🐝 Осиное гнездо…! (через секунду погонятся) Беги в дом!',
+    'cozy.stung': '😵 Ужалили! Игра окончена…',
+    'cozy.coconut': 'Упал кокос',
+    'cozy.treeAgain': 'Больше ничего нет…',
+    'cozy.roomIdle': 'Здесь A — выйти наружу',
+    'cozy.name.tama': 'Тама',
+    'cozy.name.mike': 'Мике',
+    'cozy.name.shiro': 'Сиро',
+    'cozy.name.kuro': 'Куро',
+    'cozy.cat.hint': 'Каждое дерево — только один раз, мяу. Пчёлы — беги домой!',
+    'item.leaf_ticket': { one: 'листовой билет', few: 'листовых билета', many: 'листовых билетов', other: 'листового билета' },
+
+    'vt.orderFail': 'Порядок карт таро нарушен! Игра окончена…',
+    'vt.dragonFail': 'Ты отдал Кэтмену драконьи фрукты… Игра окончена!',
+    'vt.name.uplifted': 'Воодушевлённая кошка',
+    'vt.name.wavering': 'Колеблющаяся кошка',
+    'vt.name.distant': 'Кошка, глядящая вдаль',
+    'vt.name.catman': 'Кэтмен',
+    'vt.uplifted.need1': 'Сегодня у меня отличное настроение, мяу!',
+    'vt.uplifted.need2': 'Три яблока…',
+    'vt.uplifted.offer': 'Эти яблоки… так вкусно пахнут, мяу.',
+    'vt.uplifted.give': 'Отдать 3 яблока',
+    'vt.uplifted.given': 'Дарую тебе Созидание Брахмы (🃏創).',
+    'vt.uplifted.later': '…Ясно.',
+    'vt.wavering.need1': 'Что же делать… что же делать…',
+    'vt.wavering.need2': 'Три апельсина…',
+    'vt.wavering.offer': 'Апельсины… они у тебя есть?',
+    'vt.wavering.give': 'Отдать 3 апельсина',
+    'vt.wavering.given': 'Дарую тебе Сохранение Вишну (🃏維).',
+    'vt.wavering.later': '…Ладно, не надо.',
+    'vt.distant.need1': '……',
+    'vt.distant.need2': 'Три персика…',
+    'vt.distant.offer': '…Пахнет персиками.',
+    'vt.distant.give': 'Отдать 3 персика',
+    'vt.distant.given': 'Дарую тебе Разрушение Шивы (🃏破).',
+    'vt.distant.later': '……',
+    'vt.catman.offer': '…Значит, ты собрал три порядка.',
+    'vt.catman.give': 'Отдать 🃏創🃏維🃏破',
+    'vt.catman.notYet': 'Пока нет',
+    'vt.catman.given': 'Карта кошачьей души (🖤魂)… бери.',
+    'vt.catman.dragonfruit': '…Давай сюда драконьи фрукты.',
+    'vt.catman.giveDragon': 'Отдать 3 драконьих фрукта',
+    'vt.catman.keepDragon': 'Не отдавать',
+    'vt.catman.early': 'Принеси мне три драконьих фрукта!',
+    'vt.catman.late': '…Собери три порядка (🃏創🃏維🃏破).',
+    'vt.catman.later': '…Хмф.',
+    'vt.finale.locked': '🖤 Без карты кошачьей души не войти…',
+    'vt.finale.toast': '💘 С Днём святого Валентина!',
+    'vt.finale.big': 'С ДНЁМ СВЯТОГО ВАЛЕНТИНА',
+  },
+
+  en: {
+    'title': 'Valentino island',
+    'welcome': 'harasho danamo',
+    'lang.label': 'Language',
+    'start.btn': 'Start',
+    'start.go': "Let's go!",
+    'slot.label': 'Slot',
+    'slot.new': 'New slot',
+    'slot.empty': '{name} · empty',
+    'slot.export': 'Export',
+    'slot.import': 'Import',
+    'slot.prompt': 'Slot name',
+    'slot.badName': 'Slot names are up to 24 characters, without “:”',
+    'slot.exists': 'A slot with that name already exists',
+    'slot.badJson': "Couldn't read that as JSON…",
+    'slot.invalid': 'Invalid save: {err}',
+    'slot.overwrite': 'Overwrite “{name}”?',
+    'seed.random': 'Random seed',
+    'seed.confirmNew': 'Create a new island ({mode}, seed {seed})? Progress in this slot will be lost.',
+    'seed.urlMismatch': 'seed {seed}: this slot has a different island (press Start to rebuild)',
+    'menu.title': 'Paused',
+    'menu.resume': 'Resume',
+    'menu.restart': 'Restart',
+    'menu.restartConfirm': 'Restart? Your save will be deleted.',
+    'craft.title': 'Workbench',
+    'panel.close': 'Close',
+    'craft.made': 'Made {count} {item}!',
+    'craft.questWarn': 'The quest still needs {items}. Craft anyway?',
+    'journal.title': 'Journal',
+    'journal.step': '{name}: {items}',
+    'journal.more': { one: '…{count} more step to go', other: '…{count} more steps to go' },
+    'journal.gate': 'To the heart gate',
+    'journal.noQuest': 'A lazy island: what to do is up to you',
+    'journal.rocks': 'Rocks flipped: {n}/{total}',
+    'journal.critters': 'Met under rocks: {names}',
+    'storage.title': 'Shelf',
+    'storage.bag': 'In your bag (A: put on the shelf)',
+    'storage.shelf': 'On the shelf (A: take)',
+    'storage.empty': 'empty',
+    'storage.put': 'Put {item} on the shelf',
+    'storage.take': 'Take {item}',
+    'pad.connected': '🎮 Controller connected: {name}',
+    'pad.disconnected': '🎮 Controller disconnected',
+    'go.title': 'GAME OVER',
+    'go.retry': 'Try next time',
+    'go.toilet': 'Toilet break',
+    'go.toiletToast': "🚽 Toilet break… (press Try next time when you're back)",
+    'go.default': 'Try next time',
+    'go.stung': '😵 Stung!\nTry next time',
+    'go.coconut': '🥥 Hit by a coconut…\nTry next time',
+    'bee.nest': '🐝',
+    'door.out': 'You stepped outside',
+    'room.empty': 'An empty room… as if it were someone else’s',
+    'room.rug': 'You rolled around on the fluffy rug',
+    'bed.sleep': 'You slept soundly… it’s morning (saved)',
+    'bed.rest': 'You lay down for a bit (saved)',
+    'house.enter': 'You went inside!',
+    'nothing': 'Nothing here…',
+    'tree.snow': 'Snow came down — feels nice',
+    'tree.dropped': 'You shook the tree — {count} {item} fell!',
+    'tree.empty': 'You shook the tree… nothing',
+    'rock.found': 'You flipped the rock! Found {item}!',
+    'rock.nothing': 'You flipped the rock… nothing',
+    'rock.flipped': 'This rock is already turned over',
+    'rock.critter': 'A {name} is fast asleep under the rock… let it be',
+    'rock.hint': 'A tarot scribble under the rock: "{name} is waiting for {items}"',
+    'rock.hintGate': 'A tarot scribble under the rock: "The cards are complete. Go to the heart gate"',
+    'critter.frog': 'frog',
+    'critter.hedgehog': 'hedgehog',
+    'pickup.got': 'Got {count} {item}!',
+    'weather.clear': 'The snow has stopped',
+    'weather.light': 'It started to snow',
+    'weather.blizzard': 'A blizzard! The snow is getting deep…',
+    'dlg.notNow': 'Not now',
+    'item.peach': { one: 'peach', other: 'peaches' },
+    'item.apple': { one: 'apple', other: 'apples' },
+    'item.orange': { one: 'orange', other: 'oranges' },
+    'item.dragonfruit': { one: 'dragon fruit', other: 'dragon fruit' },
+    'item.tarot_brahma': { one: 'Brahma card', other: 'Brahma cards' },
+    'item.tarot_vishnu': { one: 'Vishnu card', other: 'Vishnu cards' },
+    'item.tarot_shiva': { one: 'Shiva card', other: 'Shiva cards' },
+    'item.cat_soul_card': { one: 'Cat Soul card', other: 'Cat Soul cards' },
+    'item.mint': { one: 'mint sprig', other: 'mint sprigs' },
+    'item.ribbon': { one: 'ribbon', other: 'ribbons' },
+    'items.entry': '{count} {item}',
+    'item.apple_jam': { one: 'jar of apple jam', other: 'jars of apple jam' },
+    'item.peach_jam': { one: 'jar of peach jam', other: 'jars of peach jam' },
+    'item.smoothie': { one: 'smoothie', other: 'smoothies' },
+    'item.dragon_smoothie': { one: 'dragon smoothie', other: 'dragon smoothies' },
+    'item.bee_repellent': { one: 'bee repellent', other: 'bee repellents' },
+    'item.gift_box': { one: 'gift box', other: 'gift boxes' },
+    'mode.label': 'Mode',
+    'mode.valentino': 'Valentino (tarot trial)',
+    'mode.cozy': 'Cozy snow island',
+    'mode.urlMismatch': '{mode}: this slot holds an island of another mode (press Start to rebuild)',
+    'bee.gaveUp': '🐝 The bees gave up and flew back to the nest',
+    'bee.repelled': '🧴 You smoked the nest out with repellent — no bees this time',
+    'diff.label': 'Difficulty',
+    'diff.easy': 'Easy (3–4 bees)',
+    'diff.normal': 'Normal (3–5 bees)',
+    'diff.hard': 'Hard (5–7 fast bees, they follow you onto the ice)',
+    'gfx.label': 'Graphics',
+    'gfx.low': 'Graphics: Low (fast)',
+    'gfx.med': 'Graphics: Medium',
+    'gfx.high': 'Graphics: High (shadows)',
+    'gfx.auto': 'Graphics: Auto (adaptive resolution)',
+    'clock.label': 'Day length',
+    'clock.fast': 'Day: 10 minutes',
+    'clock.normal': 'Day: 20 minutes',
+    'clock.slow': 'Day: 40 minutes',
+    'clock.real': 'Day: real time',
+    'audio.mute': 'Mute (M)',
+    'audio.master': 'Volume',
+    'audio.sfx': 'Effects',
+    'audio.music': 'Music',
+    'cozy.title': 'Cozy Island',
+    'cozy.hint': 'Left stick to move / A to act (each tree shakes once / bees? run home!)',
+    'cozy.welcome': 'Welcome to the snow island! Each tree only once. Bees? Run to the house in the middle!',
+    'cozy.beeNest': "🐝 A wasp nest…! (they chase in a second) Run to the house!",
+    'cozy.stung': '😵 Stung! Game over…',
+    'cozy.coconut': 'A coconut fell on you',
+    'cozy.treeAgain': 'Nothing left…',
+    'cozy.roomIdle': 'Press A here to go outside',
+    'cozy.name.tama': 'Tama',
+    'cozy.name.mike': 'Mike',
+    'cozy.name.shiro': 'Shiro',
+    'cozy.name.kuro': 'Kuro',
+    'cozy.cat.hint': 'Each tree only once, meow. If bees come out, run home!',
+    'item.leaf_ticket': { one: 'leaf ticket', other: 'leaf tickets' },
+
+    'vt.orderFail': 'The tarot order was wrong! Game over…',
+    'vt.dragonFail': 'You gave Catman the dragon fruit… Game over!',
+    'vt.name.uplifted': 'Elated Cat',
+    'vt.name.wavering': 'Wavering Cat',
+    'vt.name.distant': 'Faraway-Gazing Cat',
+    'vt.name.catman': 'Catman',
+    'vt.uplifted.need1': "I'm in a great mood today, meow!",
+    'vt.uplifted.need2': 'Three apples…',
+    'vt.uplifted.offer': 'Those apples… they smell lovely, meow.',
+    'vt.uplifted.give': 'Give 3 apples',
+    'vt.uplifted.given': "I grant you Brahma's Creation (🃏創).",
+    'vt.uplifted.later': '…I see.',
+    'vt.wavering.need1': 'What do I do… what do I do…',
+    'vt.wavering.need2': 'Three oranges…',
+    'vt.wavering.offer': 'Oranges… do you have some?',
+    'vt.wavering.give': 'Give 3 oranges',
+    'vt.wavering.given': "I grant you Vishnu's Preservation (🃏維).",
+    'vt.wavering.later': '…Never mind, then.',
+    'vt.distant.need1': '……',
+    'vt.distant.need2': 'Three peaches…',
+    'vt.distant.offer': '…The scent of peaches.',
+    'vt.distant.give': 'Give 3 peaches',
+    'vt.distant.given': "I grant you Shiva's Destruction (🃏破).",
+    'vt.distant.later': '……',
+    'vt.catman.offer': '…So, you gathered the three orders.',
+    'vt.catman.give': 'Hand over 🃏創🃏維🃏破',
+    'vt.catman.notYet': 'Not yet',
+    'vt.catman.given': 'The Cat Soul card (🖤魂)… take it.',
+    'vt.catman.dragonfruit': '…Hand over that dragon fruit.',
+    'vt.catman.giveDragon': 'Give 3 dragon fruit',
+    'vt.catman.keepDragon': 'Keep them',
+    'vt.catman.early': 'Bring me three dragon fruit!',
+    'vt.catman.late': '…Gather the three orders (🃏創🃏維🃏破).',
+    'vt.catman.later': '…Hmph.',
+    'vt.finale.locked': "🖤 You can't get in without the Cat Soul card…",
+    'vt.finale.toast': "💘 HAPPY VALENTINE'S DAY",
+    'vt.finale.big': "HAPPY VALENTINE'S DAY",
+  },
+};
+
+const i18n = { lang: 'ja' };
+const pluralRules = {};
+
+function pluralCategory(lang, n){
+  pluralRules[lang] ||= new Intl.PluralRules(lang);
+  return pluralRules[lang].select(n);
+}
+
+function t(key, params = {}){
+  for (const lang of [i18n.lang, ...I18N_FALLBACK]) {
+    let v = STRINGS[lang]?.[key];
+    if (v == null) continue;
+    if (typeof v === 'object') {
+      const n = Number(params.count);
+      v = v[Number.isFinite(n) ? pluralCategory(lang, n) : 'other'] ?? v.other;
+    }
+    return v.replace(/\{(\w+)\}/g, (m, k) => params[k] != null ? String(params[k]) : m);
+  }
+  return String(key);
+}
+
+// ?lang= -> saved choice -> browser languages -> ja
+function detectLang(saved){
+  const fromUrl = new URLSearchParams(location.search).get('lang');
+  const browser = (navigator.languages || [navigator.language || '']).map(l => String(l).slice(0, 2));
+  return [fromUrl, saved, ...browser].find(l => l && STRINGS[l]) || 'ja';
+}
+
+function applyI18n(root = document){
+  for (const el of root.querySelectorAll('[data-i18n]')) el.textContent = t(el.dataset.i18n);
+  for (const el of root.querySelectorAll('[data-i18n-title]')) el.title = t(el.dataset.i18nTitle);
+  for (const el of root.querySelectorAll('[data-i18n-placeholder]')) el.placeholder = t(el.dataset.i18nPlaceholder);
+  for (const el of root.querySelectorAll('[data-i18n-aria]')) el.setAttribute('aria-label', t(el.dataset.i18nAria));
+}
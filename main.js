@@ -3,44 +3,200 @@
 // Gameplay:
 // - Each tree yields at most 1 item (one-time shake).
 // - Among ALL trees: peach x4, apple x4, orange x4. Others: no fruit.
-// - Fruitless trees: 20% chance to drop a wasp nest once. Then bees chase.
+// - Fruitless trees: 20% chance to drop a wasp nest once. Then bees chase
+//   as a swarm (3-7 by difficulty) around trees, rocks, ponds and the house (nav.js grid + steering);
+//   run far enough from the nest and they give up.
 // - If stung => GAME OVER (reset to start).
 // - Strategy: run to the house at center and enter (A). Indoor cancels chase.
 // - Once a tree triggered bees, it will never trigger again.
-
-const clamp = (v, a, b) => Math.max(a, Math.min(b, v));
-const dist2 = (ax, az, bx, bz) => { const dx=ax-bx, dz=az-bz; return dx*dx+dz*dz; };
+// - Rocks can be flipped once: mint, ribbons, a quest hint or a sleeping critter, fixed per world seed.
+// - The frozen ponds are walkable ice: the player slides with momentum, cats keep off it and
+//   bees only follow onto it on hard.
+// - Weather comes in spells (clear / light snow / blizzard): snow piles up and slows the player and bees,
+//   and knocked-off tree caps grow back while it snows.
+// - Indoors, the table crafts recipes.js items (jam, smoothies, gift boxes, bee repellent that
+//   smokes out the next wasp nest instead of letting the swarm loose). The bed sleeps till morning
+//   (and saves), the chair opens the journal, the shelf stores items; furniture blocks the way.
+// - Cats walk the same nav grid, keep out of each other's way and like to sit by the cat house,
+//   the ponds and the Valentine gate.
+// Modes (GAME_MODES): "valentino" = tarot quest chain + Valentine gate + game-over screen,
+//                    "cozy" = plain island, cats only give hints, game over restarts right away.
+// Controls: touch pad, keyboard (WASD/arrows move, Space/Enter = A, Esc = menu, M = mute)
+//           or gamepad (left stick/D-pad move, south button = A, Start = menu).
+// Rules live in sim.js (no three.js): this file builds meshes from sim.state, feeds it input
+// through sim.step() and turns sim events into toasts, particles, fades, sounds and saves.
+// Music (audio.js) follows the scene: time of day outdoors, chase, indoor, the finale.
+
+const {
+  clamp, dist2, hashString, GAME_MODES, DEFAULT_MODE, DIFFICULTIES, DAY_LENGTHS, island, onLand, onSand, ponds, insideAnyPond,
+  HOUSE, CAT_HOUSE, GATE, INDOOR_DOOR, INDOOR_FURNITURE, HOUSE_FRONT, createSim,
+} = IslandSim;
 const randRange = (a,b) => a + Math.random()*(b-a);
 
-// Deterministic RNG for fixed world layout
-function mulberry32(seed){
-  let a = seed >>> 0;
-  return function(){
-    a |= 0; a = (a + 0x6D2B79F5) | 0;
-    let t = Math.imul(a ^ (a >>> 15), 1 | a);
-    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
-    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
-  };
+// World seed: ?seed=123 (or any text, hashed) / start screen. Old saves used DEFAULT_SEED.
+const DEFAULT_SEED = 20260212;
+function parseSeed(v){
+  const t = String(v ?? '').trim();
+  if (!t) return null;
+  if (/^\d+$/.test(t)) return Number(t) >>> 0;
+  // FNV-1a so "valentine" etc. also works as a seed
+  return hashString(t);
 }
-
-// Save
-const SAVE_KEY = "cozy_island_3d_save_v5";
-function loadSave(){
+const randomSeed = () => (Math.random() * 4294967296) >>> 0;
+const urlParams = new URLSearchParams(location.search);
+const urlSeed = parseSeed(urlParams.get('seed'));
+
+// Device-wide settings (not per slot): { lang, difficulty, gfx, dayLength, audio:{ muted, master, sfx, music } }
+// (lang here is only the default for slots whose save has no lang yet)
+const SETTINGS_KEY = "cozy_island_3d_settings";
+function loadSettings(){
+  try{
+    const p = JSON.parse(localStorage.getItem(SETTINGS_KEY) || 'null');
+    if (p && typeof p === 'object' && !Array.isArray(p)) return p;
+  }catch{}
+  return {};
+}
+function writeSettings(){
+  try{ localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings)); }catch{}
+}
+const settings = loadSettings();
+
+const urlMode = GAME_MODES[urlParams.get('mode')] ? urlParams.get('mode') : null;
+
+// Save (schema v6)
+// { v:6, seed, mode, inv:{kind:n}, world:{trees,rocks,dfTrees}, quest:{step},
+//   stage:'outdoor'|'indoor', player:{x,z,ry}|null, pickups:[{kind,x,z}], clock:hour|null,
+//   weather:{kind,left,depth}|null, storage:{kind:n}, lang:'ja'|'ru'|'en'|null }
+// v4/v5 stored only {inv, world} and are migrated on first load (into the default slot).
+const SAVE_VERSION = 6;
+const SAVE_KEY = "cozy_island_3d_save_v6";
+const LEGACY_SAVE_KEYS = ["cozy_island_3d_save_v5", "cozy_island_3d_save_v4"]; // newest first
+let saveLocked = false; // リセット中は pagehide の自動セーブで書き戻さない
+
+// Save slots: { current, names[] }. The default slot keeps the plain SAVE_KEY.
+const SLOTS_KEY = "cozy_island_3d_slots";
+const DEFAULT_SLOT = "default";
+function loadSlots(){
   try{
-    const raw = localStorage.getItem(SAVE_KEY);
-    if(!raw) return { inv:{}, world:null };
-    const p = JSON.parse(raw);
-    return { inv: p.inv || {}, world: p.world || null };
+    const p = JSON.parse(localStorage.getItem(SLOTS_KEY) || 'null');
+    const names = Array.isArray(p?.names) ? p.names.filter(n => typeof n === 'string' && n) : [];
+    if (!names.includes(DEFAULT_SLOT)) names.unshift(DEFAULT_SLOT);
+    const current = names.includes(p?.current) ? p.current : DEFAULT_SLOT;
+    return { current, names };
   }catch{
-    return { inv:{}, world:null };
+    return { current:DEFAULT_SLOT, names:[DEFAULT_SLOT] };
   }
 }
-function writeSave(inv, world){ localStorage.setItem(SAVE_KEY, JSON.stringify({inv, world})); }
+function writeSlots(slots){ localStorage.setItem(SLOTS_KEY, JSON.stringify(slots)); }
+const slots = loadSlots();
+const slotKey = (name) => name === DEFAULT_SLOT ? SAVE_KEY : `${SAVE_KEY}:${name}`;
 
+function emptySave(){
+  return { v:SAVE_VERSION, seed:DEFAULT_SEED, mode:DEFAULT_MODE, inv:{}, storage:{}, world:null, quest:{ step:0 }, stage:'outdoor', player:null, pickups:[], clock:null, weather:null, lang:null };
+}
+
+// older builds kept the mesh in .obj on world entries; never persist it
+const stripObj = (list) => Array.isArray(list) ? list.map(({ obj, ...rest }) => rest) : [];
+function serializeWorld(w){
+  if (!w || !Array.isArray(w.trees)) return null;
+  return { ...w, trees: stripObj(w.trees), rocks: stripObj(w.rocks), dfTrees: stripObj(w.dfTrees) };
+}
+
+// Old saves never stored the quest step: rebuild it from the step rewards (tarot cards) in inventory
+function questStepFromInv(inv, quest){
+  for (let i=quest.steps.length-1; i>=0; i--) {
+    const reward = quest.steps[i].reward || {};
+    if (Object.keys(reward).length && Object.keys(reward).every(k => (inv[k]||0) > 0)) return i + 1;
+  }
+  return 0;
+}
+
+function migrateSave(p){
+  const s = emptySave();
+  if (!p || typeof p !== 'object') return s;
+  for (const list of ['inv', 'storage']) {
+    for (const k in (p[list] || {})) {
+      const n = Number(p[list][k]);
+      if (Number.isFinite(n)) s[list][k] = n;
+    }
+  }
+  s.world = serializeWorld(p.world);
+  if (Number.isInteger(p.seed) && p.seed >= 0) s.seed = p.seed >>> 0;
+  if (GAME_MODES[p.mode]) s.mode = p.mode;
+  if (STRINGS[p.lang]) s.lang = p.lang;
+  const quest = QUEST_DEFS[GAME_MODES[s.mode].quest];
+  if ((p.v || 5) < 6) {
+    s.quest.step = questStepFromInv(s.inv, quest);
+    return s;
+  }
+  s.quest.step = clamp(Number(p.quest?.step) || 0, 0, quest.steps.length);
+  s.stage = p.stage === 'indoor' ? 'indoor' : 'outdoor';
+  const pl = p.player;
+  if (pl && Number.isFinite(pl.x) && Number.isFinite(pl.z)) {
+    s.player = { x:pl.x, z:pl.z, ry:Number(pl.ry) || 0 };
+  }
+  if (Array.isArray(p.pickups)) {
+    s.pickups = p.pickups
+      .filter(k => k && typeof k.kind === 'string' && Number.isFinite(k.x) && Number.isFinite(k.z))
+      .map(k => ({ kind:k.kind, x:k.x, z:k.z }));
+  }
+  if (Number.isFinite(p.clock)) s.clock = ((p.clock % 24) + 24) % 24;
+  if (p.weather && typeof p.weather === 'object') {
+    const w = p.weather;
+    if (typeof w.kind === 'string') s.weather = { kind: w.kind, left: Number(w.left) || 0, depth: clamp(Number(w.depth) || 0, 0, 1) };
+  }
+  return s;
+}
+
+// Structural check for saves coming from outside (imported files). Returns an error or null.
+function validateSave(p){
+  if (!p || typeof p !== 'object' || Array.isArray(p)) return 'not a save object';
+  if (p.v !== undefined && !(Number.isInteger(p.v) && p.v >= 4 && p.v <= SAVE_VERSION)) return `unsupported version ${p.v}`;
+  if (p.seed !== undefined && !(Number.isInteger(p.seed) && p.seed >= 0)) return 'seed must be a non-negative integer';
+  if (p.mode !== undefined && !GAME_MODES[p.mode]) return `unknown mode ${p.mode}`;
+  if (p.lang != null && !STRINGS[p.lang]) return `unknown lang ${p.lang}`;
+  if (p.inv !== undefined && (typeof p.inv !== 'object' || Array.isArray(p.inv) || p.inv === null)) return 'inv must be an object';
+  for (const k in (p.inv || {})) if (!Number.isFinite(p.inv[k])) return `inv.${k} is not a number`;
+  if (p.storage !== undefined && (typeof p.storage !== 'object' || Array.isArray(p.storage) || p.storage === null)) return 'storage must be an object';
+  for (const k in (p.storage || {})) if (!Number.isFinite(p.storage[k])) return `storage.${k} is not a number`;
+  if (p.world != null) {
+    if (!Array.isArray(p.world.trees)) return 'world.trees missing';
+    for (const list of [p.world.trees, p.world.rocks || [], p.world.dfTrees || []]) {
+      if (!Array.isArray(list)) return 'world lists must be arrays';
+      if (list.some(o => !o || typeof o.id !== 'string' || !Number.isFinite(o.x) || !Number.isFinite(o.z))) return 'world entry without id/x/z';
+    }
+  }
+  if (p.quest !== undefined && !Number.isInteger(p.quest?.step)) return 'quest.step must be an integer';
+  if (p.stage !== undefined && p.stage !== 'outdoor' && p.stage !== 'indoor') return `unknown stage ${p.stage}`;
+  if (p.pickups !== undefined && !Array.isArray(p.pickups)) return 'pickups must be an array';
+  if (p.clock != null && !Number.isFinite(p.clock)) return 'clock must be a number';
+  return null;
+}
+
+function loadSave(slot = slots.current){
+  try{
+    const raw = localStorage.getItem(slotKey(slot));
+    if (raw) return migrateSave(JSON.parse(raw));
+    if (slot !== DEFAULT_SLOT) return emptySave();
+    // 旧版セーブがあれば v6 に移行してから消す
+    for (const key of LEGACY_SAVE_KEYS) {
+      const old = localStorage.getItem(key);
+      if (!old) continue;
+      const s = migrateSave(JSON.parse(old));
+      writeSave(s);
+      for (const k of LEGACY_SAVE_KEYS) localStorage.removeItem(k);
+      return s;
+    }
+  }catch{}
+  return emptySave();
+}
+function writeSave(data, slot = slots.current){ localStorage.setItem(slotKey(slot), JSON.stringify(data)); }
+
+// Restart wipes the progress but not the slot itself: its island seed, mode and language stay
+function freshSave(){ return { ...emptySave(), ...sim.restartSave(), lang: i18n.lang }; }
 function resetGame(){
-  localStorage.removeItem(SAVE_KEY);
-  // also clear older versions if present
-  try{ localStorage.removeItem("cozy_island_3d_save_v4"); }catch{}
+  saveLocked = true;
+  writeSave(freshSave());
   location.reload();
 }
 
@@ -58,27 +214,220 @@ function setStarted(v){
   state.started = !!v;
   if (state.started){
     startScreenEl?.classList.add('hidden');
-    toast('Поехали!', 1.2); // “行こう！”的（いらなければ消してOK）
+    toast(t('start.go'), 1.2); // “行こう！”的（いらなければ消してOK）
   }else{
+    renderSlotSelect();
+    fillSeedInput();
     startScreenEl?.classList.remove('hidden');
   }
 }
 
 const save = loadSave();
-const inv = save.inv;
 const world = save.world;
-
-const invGet = (k)=>inv[k]||0;
-function invSet(k,v){ inv[k]=v; flushSave(); updateInvUI(); }
-function invAdd(k,n){ inv[k]=(inv[k]||0)+n; flushSave(); updateInvUI(); }
-function flushSave(){ writeSave(inv, state.world); }
+// 言語はスロットのセーブに入っている（無ければ端末の設定・URL・ブラウザから）
+i18n.lang = detectLang(save.lang || settings.lang);
+document.documentElement.lang = i18n.lang;
+
+// Active rules + quest chain (quests.js). 島がまだ無いスロットだけ ?mode= / ?seed= を使う（既存の島は上書きしない）
+const MODE_ID = (!world && urlMode) ? urlMode : save.mode;
+const MODE = GAME_MODES[MODE_ID];
+const sim = createSim({
+  seed: (!world && urlSeed !== null) ? urlSeed : save.seed,
+  mode: MODE_ID,
+  difficulty: settings.difficulty,
+  dayLength: settings.dayLength,
+  save,
+});
+const QUEST = sim.quest;
+
+const invGet = (k)=>sim.state.inv[k]||0;
+function flushSave(){
+  if (saveLocked || GAMEOVER_LOCK) return;
+  const snap = sim.snapshot();
+  writeSave({
+    v: SAVE_VERSION,
+    ...snap,
+    // スタート前はまだ配置前なので、読み込んだ位置をそのまま残す
+    player: state.started ? snap.player : save.player,
+    lang: i18n.lang,
+  });
+}
+// 表示名は i18n の item.<kind>（数で複数形が変わる言語あり）
+function itemName(kind, count=1){
+  const key = `item.${kind}`;
+  const name = t(key, { count });
+  return name === key ? kind : name;
+}
+// crafted items (recipe icons) only show up in the bar while the player has some
+const CRAFT_ICONS = sim.recipes.map(r => [Object.keys(r.makes)[0], r.icon])
+  .filter(([k], i, all) => !MODE.inv.some(([m]) => m === k) && all.findIndex(([o]) => o === k) === i);
+const itemIcon = (k) => (MODE.inv.find(([m]) => m === k) || CRAFT_ICONS.find(([m]) => m === k) || [k, itemName(k)])[1];
 function updateInvUI(){
-  invEl.textContent =
-    `🍑:${invGet('peach')}  🍎:${invGet('apple')}  🍊:${invGet('orange')}  ` +
-    `🐉:${invGet('dragonfruit')} `;
+  const list = [...MODE.inv, ...CRAFT_ICONS.filter(([k]) => invGet(k) > 0)];
+  invEl.textContent = list.map(([k, icon]) => `${icon}:${invGet(k)}`).join('  ') + ' ';
+  invEl.setAttribute('aria-label', list.map(([k]) => `${invGet(k)} ${itemName(k, invGet(k))}`).join(', '));
 }
 updateInvUI();
 
+// ---- Save slots (start screen): switch / new / export / import ----
+const slotSelectEl = document.getElementById('slotSelect');
+const slotNewEl = document.getElementById('slotNew');
+const slotExportEl = document.getElementById('slotExport');
+const slotImportEl = document.getElementById('slotImport');
+const slotFileEl = document.getElementById('slotFile');
+const SLOT_NAME_RE = /^[^:]{1,24}$/;
+
+function slotHasSave(name){
+  if (localStorage.getItem(slotKey(name))) return true;
+  return name === DEFAULT_SLOT && LEGACY_SAVE_KEYS.some(k => localStorage.getItem(k));
+}
+function renderSlotSelect(){
+  if (!slotSelectEl) return;
+  slotSelectEl.innerHTML = '';
+  for (const name of slots.names) {
+    const o = document.createElement('option');
+    o.value = name;
+    o.textContent = slotHasSave(name) ? name : t('slot.empty', { name });
+    o.selected = name === slots.current;
+    slotSelectEl.appendChild(o);
+  }
+}
+function switchSlot(name){
+  if (!slots.names.includes(name)) slots.names.push(name);
+  slots.current = name;
+  writeSlots(slots);
+  saveLocked = true; // 切り替え中に今の状態を新しいスロットへ書き込まない
+  location.reload();
+}
+
+slotSelectEl?.addEventListener('change', ()=>switchSlot(slotSelectEl.value));
+slotNewEl?.addEventListener('click', ()=>{
+  const name = (prompt(t('slot.prompt'), `slot${slots.names.length + 1}`) || '').trim();
+  if (!name) return;
+  if (!SLOT_NAME_RE.test(name)) return toast(t('slot.badName'));
+  if (slots.names.includes(name)) return toast(t('slot.exists'));
+  switchSlot(name);
+});
+
+slotExportEl?.addEventListener('click', ()=>{
+  const data = { ...loadSave(slots.current), slot: slots.current };
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type:'application/json' });
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob);
+  a.download = `cozy-island-${slots.current}.json`;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(()=>URL.revokeObjectURL(a.href), 1000);
+});
+
+slotImportEl?.addEventListener('click', ()=>slotFileEl?.click());
+slotFileEl?.addEventListener('change', async ()=>{
+  const file = slotFileEl.files?.[0];
+  slotFileEl.value = '';
+  if (!file) return;
+  let p;
+  try{ p = JSON.parse(await file.text()); }catch{ return toast(t('slot.badJson')); }
+  const err = validateSave(p);
+  if (err) return toast(t('slot.invalid', { err }), 3.0);
+  const fromFile = file.name.replace(/\.json$/i, '').replace(/:/g, '_').slice(0, 24);
+  const name = (typeof p.slot === 'string' && SLOT_NAME_RE.test(p.slot)) ? p.slot : (fromFile || 'import');
+  if (slotHasSave(name) && !confirm(t('slot.overwrite', { name }))) return;
+  writeSave(migrateSave(p), name);
+  switchSlot(name);
+});
+
+// ---- Language (start screen) ----
+const langSelectEl = document.getElementById('langSelect');
+
+function setLang(lang){
+  if (!STRINGS[lang]) return;
+  i18n.lang = settings.lang = lang;
+  writeSettings();
+  // このスロットのセーブにも残す（まだ空のスロットは最初のセーブで入る）
+  save.lang = lang;
+  if (slotHasSave(slots.current)) flushSave();
+  document.documentElement.lang = lang;
+  applyI18n();
+  updateInvUI();
+  renderSlotSelect();
+}
+if (langSelectEl) {
+  for (const [code, label] of Object.entries(I18N_LANGS)) {
+    const o = document.createElement('option');
+    o.value = code;
+    o.textContent = label;
+    o.selected = code === i18n.lang;
+    langSelectEl.appendChild(o);
+  }
+  langSelectEl.addEventListener('change', ()=>setLang(langSelectEl.value));
+}
+// ---- Difficulty (start screen; device-wide like the language, used from the next nest) ----
+const diffSelectEl = document.getElementById('diffSelect');
+if (diffSelectEl) {
+  for (const id of Object.keys(DIFFICULTIES)) {
+    const o = document.createElement('option');
+    o.value = id;
+    o.dataset.i18n = `diff.${id}`;
+    o.textContent = t(`diff.${id}`);
+    o.selected = id === sim.difficulty;
+    diffSelectEl.appendChild(o);
+  }
+  diffSelectEl.addEventListener('change', ()=>{
+    sim.setDifficulty(diffSelectEl.value);
+    settings.difficulty = sim.difficulty;
+    writeSettings();
+  });
+}
+
+// モードごとのタイトルと上部ヒント（のんびりモードだけ）
+const startTitleEl = document.getElementById('startTitle');
+const hintEl = document.getElementById('hint');
+if (startTitleEl) startTitleEl.dataset.i18n = MODE.title;
+if (hintEl && MODE.hint) {
+  hintEl.dataset.i18n = MODE.hint;
+  hintEl.classList.remove('hidden');
+}
+applyI18n();
+
+// ---- World seed + game mode (start screen) ----
+const seedInputEl = document.getElementById('seedInput');
+const seedRandomEl = document.getElementById('seedRandom');
+const modeSelectEl = document.getElementById('modeSelect');
+const AUTOSTART_KEY = "cozy_island_3d_autostart";
+
+if (modeSelectEl) {
+  for (const id of Object.keys(GAME_MODES)) {
+    const o = document.createElement('option');
+    o.value = id;
+    o.dataset.i18n = `mode.${id}`;
+    o.textContent = t(`mode.${id}`);
+    modeSelectEl.appendChild(o);
+  }
+}
+function fillSeedInput(){
+  if (seedInputEl) seedInputEl.value = String(urlSeed ?? sim.state.seed);
+  if (modeSelectEl) modeSelectEl.value = urlMode ?? MODE_ID;
+}
+seedRandomEl?.addEventListener('click', ()=>{
+  if (seedInputEl) seedInputEl.value = String(randomSeed());
+});
+
+function worldHasProgress(){
+  if (Object.values(sim.state.inv).some(n => n > 0)) return true;
+  const w = sim.state.world;
+  return [...(w.trees || []), ...(w.dfTrees || [])].some(t => t.shaken);
+}
+// New island in the current slot: wipe it down to seed + mode, reload with ?seed=&mode= and start right away
+function startNewIsland(seed, mode){
+  saveLocked = true;
+  writeSave({ ...emptySave(), seed, mode });
+  sessionStorage.setItem(AUTOSTART_KEY, '1');
+  urlParams.set('seed', String(seed));
+  urlParams.set('mode', mode);
+  location.replace(`${location.pathname}?${urlParams}`);
+}
+
 // ---- GameOver Overlay (no infinite reload) ----
 let GAMEOVER_LOCK = false;
 
@@ -86,15 +435,16 @@ const goEl = document.createElement('div');
 goEl.id = 'gameOverScreen';
 goEl.innerHTML = `
   <div class="panel">
-    <div class="title">GAME OVER</div>
+    <div class="title" data-i18n="go.title"></div>
     <div class="msg" id="goMsg"></div>
     <div class="btnRow">
-      <button id="goRetry" class="btn">Try next time</button>
-      <button id="goToilet" class="btn ghost">トイレタイム</button>
+      <button id="goRetry" class="btn" data-i18n="go.retry"></button>
+      <button id="goToilet" class="btn ghost" data-i18n="go.toilet"></button>
     </div>
   </div>
 `;
 document.body.appendChild(goEl);
+applyI18n(goEl);
 
 const goMsgEl = goEl.querySelector('#goMsg');
 const goRetryEl = goEl.querySelector('#goRetry');
@@ -105,20 +455,26 @@ function triggerGameOver(message){
   if (GAMEOVER_LOCK) return;         // ★無限発火防止
   GAMEOVER_LOCK = true;
 
-  // gameplay stop
+  // gameplay stop (the sim already froze itself and called the bee off)
   state.started = false;
-  stopWaspChase();
+  closeDialog();
 
   fade(true);
-  if (goMsgEl) goMsgEl.textContent = message || 'Try next time';
+  if (MODE.gameOver === 'reset') {
+    // のんびりモード：画面は出さずにそのままやり直し
+    toast(message, 1.2);
+    setTimeout(()=>resetGame(), 900);
+    return;
+  }
+  if (goMsgEl) goMsgEl.textContent = message || t('go.default');
 
   goEl.classList.add('show');
 }
 
 function hardRestart(){
-  // ローカルセーブ削除（v5 + 旧版）
-  try{ localStorage.removeItem(SAVE_KEY); }catch{}
-  try{ localStorage.removeItem("cozy_island_3d_save_v4"); }catch{}
+  // 進行だけ消して島のシードは残す（旧版は読み込み時に移行済み）
+  saveLocked = true;
+  try{ writeSave(freshSave()); }catch{}
   // ここで初めてリロード（1回だけ）
   location.replace(location.href.split('#')[0]);
 }
@@ -128,17 +484,26 @@ goRetryEl?.addEventListener('click', hardRestart);
 
 // トイレタイム：ただの休憩画面として一時停止（好きにカスタムしてOK）
 goToiletEl?.addEventListener('click', ()=>{
-  toast('🚽 トイレタイム…（戻ったら Try next time）', 2.0);
+  toast(t('go.toiletToast'), 2.0);
 });
 // three.js
 const wrap = document.getElementById('wrap');
-const renderer = new THREE.WebGLRenderer({ antialias:true, alpha:false, powerPreference:'high-performance' });
-renderer.setPixelRatio(Math.min(window.devicePixelRatio||1, 2));
-renderer.setSize(window.innerWidth, window.innerHeight, false);
-renderer.outputColorSpace = THREE.SRGBColorSpace;
-renderer.toneMapping = THREE.ACESFilmicToneMapping;
-renderer.toneMappingExposure = 1.0;
-wrap.appendChild(renderer.domElement);
+// (antialiasing is fixed per WebGL context, so switching it builds a new renderer in place of the old one)
+let renderer = null;
+function makeRenderer(antialias){
+  const r = new THREE.WebGLRenderer({ antialias, alpha:false, powerPreference:'high-performance' });
+  r.outputColorSpace = THREE.SRGBColorSpace;
+  r.toneMapping = THREE.ACESFilmicToneMapping;
+  r.toneMappingExposure = 1.0;
+  r.shadowMap.type = THREE.PCFSoftShadowMap;
+  if (renderer) {
+    wrap.replaceChild(r.domElement, renderer.domElement);
+    renderer.dispose();
+  } else {
+    wrap.appendChild(r.domElement);
+  }
+  renderer = r;
+}
 
 const scene = new THREE.Scene();
 const camera = new THREE.PerspectiveCamera(55, 1, 0.1, 900);
@@ -147,8 +512,15 @@ const camera = new THREE.PerspectiveCamera(55, 1, 0.1, 900);
 const ambient = new THREE.AmbientLight(0xffffff, 0.88);
 scene.add(ambient);
 const sun = new THREE.DirectionalLight(0xffffff, 0.90);
-sun.position.set(28, 38, 18);
-scene.add(sun);
+const SUN_OFFSET = new THREE.Vector3(28, 38, 18); // from the point it lights (follows the camera for shadows; turns with the clock)
+const SUN_DIST = SUN_OFFSET.length();
+sun.position.copy(SUN_OFFSET);
+scene.add(sun, sun.target);
+// shadow box around the camera target (about what the camera sees)
+sun.shadow.mapSize.set(2048, 2048);
+Object.assign(sun.shadow.camera, { left:-24, right:24, top:24, bottom:-24, near:1, far:120 });
+sun.shadow.bias = -0.0004;
+sun.shadow.normalBias = 0.03;
 
 // Winter sky palette
 const SKY = {
@@ -157,6 +529,12 @@ const SKY = {
   night: new THREE.Color(0x1b2a55),
   dawn: new THREE.Color(0xd9f1ff),
 };
+// what updateDayNight() blended for the current hour (fog = share of the preset's fog distance)
+const skyNow = new THREE.Color();
+scene.background = skyNow;
+const daylight = { fog: 1 };
+// the weather as drawn, eased toward WEATHER_VIEW[sim weather] by updateWeather()
+const weatherView = { amount: 0, fall: 1.2, wind: 0, fog: 1, tint: 0 };
 
 // Groups (stage switching)
 const outdoorGroup = new THREE.Group();
@@ -165,24 +543,73 @@ scene.add(outdoorGroup);
 scene.add(indoorGroup);
 indoorGroup.visible = false;
 
-// Island
-const island = {
-  rx: 42,
-  rz: 32,
-  sandInner: 0.72,
+// Fog
+scene.fog = new THREE.Fog(0xcfe6ff, 30, 150);
+
+// ---- Graphics quality (device setting, pause menu) ----
+// pixelRatio = cap on devicePixelRatio, fog = outdoor [near, far], particles = share of burst particles.
+// "auto" looks like the old fixed setup and scales the resolution to hold GFX_TARGET_FPS.
+const GFX_PRESETS = {
+  low:  { pixelRatio: 1.0, aa: false, shadows: false, fog: [18, 90],  particles: 0.4 },
+  med:  { pixelRatio: 1.5, aa: true,  shadows: false, fog: [24, 120], particles: 0.7 },
+  high: { pixelRatio: 2.0, aa: true,  shadows: true,  fog: [30, 150], particles: 1.0 },
+  auto: { pixelRatio: 2.0, aa: true,  shadows: false, fog: [30, 150], particles: 1.0, adaptive: true },
 };
-function onLand(x,z){
-  const dx=x/island.rx, dz=z/island.rz;
-  return (dx*dx + dz*dz) <= 1.0;
+const GFX_TARGET_FPS = 55;
+const GFX_MIN_RATIO = 0.5;  // auto never renders below half a CSS pixel
+// scale = auto's resolution factor, fps = smoothed frame rate it reacts to (checked every t seconds)
+const gfx = { id: GFX_PRESETS[settings.gfx] ? settings.gfx : 'auto', aa: null, scale: 1, fps: 60, t: 0 };
+const gfxPreset = () => GFX_PRESETS[gfx.id];
+const gfxPixelRatio = () => Math.min(window.devicePixelRatio||1, gfxPreset().pixelRatio);
+
+function outdoorFog(){
+  const [near, far] = gfxPreset().fog;
+  const k = daylight.fog * weatherView.fog;
+  scene.fog.near = near * k;
+  scene.fog.far = far * k;
 }
-function onSand(x,z){
-  const dx=x/island.rx, dz=z/island.rz;
-  const v=(dx*dx + dz*dz);
-  return v > island.sandInner && v <= 1.0;
+function applyGfx(){
+  const p = gfxPreset();
+  if (gfx.aa !== p.aa) { makeRenderer(p.aa); gfx.aa = p.aa; }
+  gfx.scale = 1;
+  renderer.setPixelRatio(gfxPixelRatio());
+  renderer.setSize(window.innerWidth, window.innerHeight, false);
+  renderer.shadowMap.enabled = p.shadows;
+  sun.castShadow = p.shadows;
+  if (!indoorGroup.visible) outdoorFog();
+}
+function setGfx(id){
+  if (!GFX_PRESETS[id]) return;
+  gfx.id = settings.gfx = id;
+  writeSettings();
+  applyGfx();
+}
+applyGfx();
+
+// auto: a second of frame times at a time, down 15% when slow, back up 10% when there is headroom
+function updateAdaptiveRes(rawDt){
+  if (!gfxPreset().adaptive || rawDt <= 0 || rawDt > 0.25) return; // hitches (tab switch etc.) don't count
+  gfx.fps += (1/rawDt - gfx.fps) * 0.05;
+  gfx.t += rawDt;
+  if (gfx.t < 1.0) return;
+  gfx.t = 0;
+  const base = gfxPixelRatio();
+  let scale = gfx.scale;
+  if (gfx.fps < GFX_TARGET_FPS - 5) scale = Math.max(GFX_MIN_RATIO / base, scale * 0.85);
+  else if (gfx.fps > GFX_TARGET_FPS + 2) scale = Math.min(1, scale * 1.10);
+  if (scale === gfx.scale) return;
+  gfx.scale = scale;
+  renderer.setPixelRatio(base * scale);
 }
 
-// Fog
-scene.fog = new THREE.Fog(0xcfe6ff, 30, 150);
+// Opaque meshes cast and receive the sun's shadow (only drawn while the preset has shadows)
+function castShadows(root, cast = true){
+  root.traverse((o) => {
+    if (!o.isMesh || o.material.transparent) return;
+    o.castShadow = cast;
+    o.receiveShadow = true;
+  });
+}
 
 // Ocean
 const oceanMat = new THREE.MeshPhysicalMaterial({
@@ -239,44 +666,36 @@ const halfH = Math.ceil(island.rz / TILE) * TILE;
 const tilesX = Math.floor((halfW*2) / TILE);
 const tilesZ = Math.floor((halfH*2) / TILE);
 const tileGeo = new THREE.PlaneGeometry(TILE, TILE);
+tileGeo.rotateX(-Math.PI/2);
 
+// one InstancedMesh per tile material (the map is shared by every tile of a material, so one offset each)
+const tileSpots = new Map([[iceSand, []], [snowA, []], [snowB, []]]);
 for (let iz=0; iz<tilesZ; iz++) {
   for (let ix=0; ix<tilesX; ix++) {
     const x = -halfW + TILE*0.5 + ix*TILE;
     const z = -halfH + TILE*0.5 + iz*TILE;
     if (!onLand(x, z)) continue;
     const mat = onSand(x, z) ? iceSand : (((ix + iz) % 2 === 0) ? snowA : snowB);
-    const tile = new THREE.Mesh(tileGeo, mat);
-    tile.rotation.x = -Math.PI/2;
-    tile.position.set(x, 0, z);
-    if (tile.material && tile.material.map) {
-      const t = tile.material.map;
-      t.offset.set(((ix%4)*0.25), ((iz%4)*0.25));
-      t.repeat.set(0.65, 0.65);
-    }
-    groundGroup.add(tile);
+    tileSpots.get(mat).push({ x, z });
+    mat.map.offset.set(((ix%4)*0.25), ((iz%4)*0.25));
+    mat.map.repeat.set(0.65, 0.65);
   }
 }
+for (const [mat, spots] of tileSpots) {
+  const tiles = new THREE.InstancedMesh(tileGeo, mat, spots.length);
+  const m = new THREE.Matrix4();
+  spots.forEach((p, i) => tiles.setMatrixAt(i, m.makeTranslation(p.x, 0, p.z)));
+  tiles.computeBoundingSphere();
+  groundGroup.add(tiles);
+}
 
 // Ponds (frozen)
-const ponds = [
-  { x: 14.0, z: 2.0, rx: 3.0, rz: 2.2 },
-  { x: -16.0, z: -7.0, rx: 2.6, rz: 1.8 },
-];
 const iceMat = new THREE.MeshStandardMaterial({ color: 0x9ad3ff, roughness: 0.10, metalness: 0.0, transparent:true, opacity: 0.70 });
 for (const p of ponds) {
   const pond = new THREE.Mesh(new THREE.CylinderGeometry(p.rx, p.rx*1.06, 0.10, 36), iceMat);
   pond.position.set(p.x, 0.05, p.z);
   outdoorGroup.add(pond);
 }
-function insideAnyPond(x, z){
-  for (const p of ponds) {
-    const dx = (x - p.x) / p.rx;
-    const dz = (z - p.z) / p.rz;
-    if ((dx*dx + dz*dz) < 1.0) return true;
-  }
-  return false;
-}
 
 // Shadows
 function shadowBlob(r=0.7, a=0.14){
@@ -289,65 +708,120 @@ function shadowBlob(r=0.7, a=0.14){
   return m;
 }
 
-// Entities
-const interactables = []; // outdoor interactables only
-const pickups = [];
+// Entity views (meshes for sim.state entries, by id)
+const treeViews = new Map();   // tree id -> { index, sway, rx, rz } (index = instance in treeProp)
+const swayingTrees = new Set(); // treeViews entries still moving (only these are animated)
+const npcViews = new Map();    // npc id -> cat mesh
+const pickupViews = new Map(); // pickup id -> mesh
+const beeViews = new Map();    // bee id -> mesh (current swarm)
 const particles = [];
 
-// Footprints
-const footprints = [];
+// Footprints: one InstancedMesh used as a ring buffer, each print fades with its own alpha (fpAlpha)
+const FP_MAX = 48;
+const FP_LIFE = 0.9;
+const footprints = []; // { slot, life, alpha }, oldest first
 const fpGeo = new THREE.PlaneGeometry(0.38, 0.52);
-const fpMat = new THREE.MeshBasicMaterial({ color: 0x9fb1c6, transparent:true, opacity:0.26, depthWrite:false });
-const fpMat2 = fpMat.clone(); fpMat2.opacity = 0.22;
+const fpAlpha = new THREE.InstancedBufferAttribute(new Float32Array(FP_MAX), 1);
+fpAlpha.setUsage(THREE.DynamicDrawUsage);
+fpGeo.setAttribute('fpAlpha', fpAlpha);
+const fpMat = new THREE.MeshBasicMaterial({ color: 0x9fb1c6, transparent:true, depthWrite:false });
+fpMat.onBeforeCompile = (sh) => {
+  sh.vertexShader = 'attribute float fpAlpha;\nvarying float vFpAlpha;\n'
+    + sh.vertexShader.replace('#include <begin_vertex>', '#include <begin_vertex>\nvFpAlpha = fpAlpha;');
+  sh.fragmentShader = 'varying float vFpAlpha;\n'
+    + sh.fragmentShader.replace('#include <dithering_fragment>', '#include <dithering_fragment>\ngl_FragColor.a *= vFpAlpha;');
+};
+const fpMesh = new THREE.InstancedMesh(fpGeo, fpMat, FP_MAX);
+fpMesh.frustumCulled = false; // prints go anywhere on the island
+outdoorGroup.add(fpMesh);
+const fpDummy = new THREE.Object3D();
+let fpSlot = 0;
 let fpAcc = 0;
+let stepT = 0; // footstep sounds
 let lastFpX = 999, lastFpZ = 999;
 function spawnFootprint(x, z, rotY){
-  if (state.stage !== 'outdoor') return;
+  if (sim.state.stage !== 'outdoor') return;
   if (onSand(x,z) || insideAnyPond(x,z)) return;
-  const m = new THREE.Mesh(fpGeo, (Math.random()<0.5?fpMat:fpMat2));
-  m.rotation.x = -Math.PI/2;
-  m.rotation.z = (Math.random()*0.30 - 0.15);
-  m.position.set(x, 0.012, z);
-  m.rotateY(rotY);
-  outdoorGroup.add(m);
-  footprints.push({ mesh: m, life: 0.9 });
+  // the ring wrapped: the slot's old print goes
+  if (footprints.length >= FP_MAX) footprints.shift();
+  fpDummy.rotation.set(-Math.PI/2, 0, Math.random()*0.30 - 0.15);
+  fpDummy.position.set(x, 0.012, z);
+  fpDummy.rotateY(rotY);
+  fpDummy.updateMatrix();
+  fpMesh.setMatrixAt(fpSlot, fpDummy.matrix);
+  fpMesh.instanceMatrix.needsUpdate = true;
+  const alpha = Math.random()<0.5 ? 0.26 : 0.22;
+  fpAlpha.setX(fpSlot, alpha);
+  fpAlpha.needsUpdate = true;
+  footprints.push({ slot: fpSlot, life: FP_LIFE, alpha });
+  fpSlot = (fpSlot + 1) % FP_MAX;
 }
 function updateFootprints(dt){
+  if (!footprints.length) return;
   for (let i=footprints.length-1;i>=0;i--){
     const f=footprints[i];
     f.life -= dt;
-    const a = clamp(f.life/0.9, 0, 1);
-    f.mesh.material.opacity = (f.mesh.material === fpMat ? 0.26 : 0.22) * a;
-    if (f.life <= 0){
-      outdoorGroup.remove(f.mesh);
-      footprints.splice(i,1);
-    }
+    fpAlpha.setX(f.slot, f.alpha * clamp(f.life/FP_LIFE, 0, 1));
+    if (f.life <= 0) footprints.splice(i,1);
   }
+  fpAlpha.needsUpdate = true;
+}
+
+// Instanced props: each mesh of a template group becomes one InstancedMesh, instance i of every part = prop i
+// at spots[i]. Parts are addressed by the template child's name.
+function makeInstancedProp(template, spots){
+  const parts = {};
+  const base = new THREE.Matrix4(), m = new THREE.Matrix4(), rot = new THREE.Matrix4();
+  const zero = new THREE.Matrix4().makeScale(0, 0, 0);
+  const white = new THREE.Color(0xffffff);
+  for (const child of template.children) {
+    child.updateMatrix();
+    const mesh = new THREE.InstancedMesh(child.geometry, child.material, spots.length);
+    const part = { mesh, local: child.matrix.clone() };
+    spots.forEach((p, i) => mesh.setMatrixAt(i, m.multiplyMatrices(base.makeTranslation(p.x, 0, p.z), part.local)));
+    mesh.computeBoundingSphere();
+    outdoorGroup.add(mesh);
+    parts[child.name || `part${Object.keys(parts).length}`] = part;
+  }
+  return {
+    parts,
+    // show/hide part `name` of prop i, optionally turned by `euler` around the part's own origin
+    // and moved by `offset` (Vector3) from its spot
+    setPart(name, i, visible = true, euler = null, offset = null){
+      const part = parts[name];
+      if (!part) return;
+      if (!visible) part.mesh.setMatrixAt(i, zero);
+      else {
+        if (offset) base.makeTranslation(spots[i].x + offset.x, offset.y, spots[i].z + offset.z);
+        else base.makeTranslation(spots[i].x, 0, spots[i].z);
+        m.multiplyMatrices(base, part.local);
+        if (euler) m.multiply(rot.makeRotationFromEuler(euler));
+        part.mesh.setMatrixAt(i, m);
+      }
+      part.mesh.instanceMatrix.needsUpdate = true;
+    },
+    // tint part `name` of prop i (the others stay white, i.e. the material colour)
+    setColor(name, i, color){
+      const part = parts[name];
+      if (!part) return;
+      if (!part.mesh.instanceColor) for (let k=0; k<spots.length; k++) part.mesh.setColorAt(k, white);
+      part.mesh.setColorAt(i, color);
+      part.mesh.instanceColor.needsUpdate = true;
+    },
+  };
 }
+let treeProp = null;
+let rockProp = null;
+const rockIndex = new Map(); // rock id -> rockProp instance
+const critterViews = [];     // sleeping critters under flipped rocks (they breathe)
 
-// World state
+// UI state (gameplay state is sim.state)
 const state = {
-  stage: 'outdoor',
-  world: world || null,
-  wasp: { active:false, obj:null, speed:7.2, treeId:null, t:0 },
   started: false, // ★追加：ゲーム開始フラグ
-  // 0: まだ / 1: Brahma済 / 2: Vishnu済 / 3: Shiva済 / 4: 猫の魂カード取得済
-  quest: { step: 0 },
+  menuOpen: false, // Escメニュー表示中は一時停止
+  panel: null,     // 'craft' | 'journal' | 'storage'（家具）— 開いている間もメニュー同様に一時停止
 };
 
-
-function randomLandPoint(margin=2.0, rnd=Math.random){
-  for (let i=0;i<220;i++) {
-    const x = (-island.rx + margin) + rnd() * ((island.rx - margin) - (-island.rx + margin));
-    const z = (-island.rz + margin) + rnd() * ((island.rz - margin) - (-island.rz + margin));
-    if (!onLand(x,z)) continue;
-    if (insideAnyPond(x,z)) continue;
-    if (Math.abs(x) < 4.5 && Math.abs(z) < 7.0) continue;
-    return {x,z};
-  }
-  return {x:0,z:0};
-}
-
 // Tree mesh
 function makeSnowyTreeMesh(){
   const group = new THREE.Group();
@@ -356,19 +830,24 @@ function makeSnowyTreeMesh(){
     new THREE.CylinderGeometry(0.18, 0.30, 1.45, 18),
     new THREE.MeshStandardMaterial({ color: 0x7a4b25, roughness: 0.98 })
   );
+  trunk.name = 'trunk';
   trunk.position.y = 0.72;
 
   const canopyMat = new THREE.MeshStandardMaterial({ color: 0x2aa765, roughness: 0.90 });
   const canopy = new THREE.Mesh(new THREE.SphereGeometry(1.12, 24, 18), canopyMat);
+  canopy.name = 'canopy';
   canopy.position.y = 2.05;
 
   const snowCapMat = new THREE.MeshStandardMaterial({ color: 0xf7fcff, roughness: 0.96 });
   const snowCap = new THREE.Mesh(new THREE.SphereGeometry(0.88, 24, 18), snowCapMat);
+  snowCap.name = 'snowCap';
   snowCap.scale.y = 0.44;
   snowCap.position.y = 2.58;
 
   const cl1 = new THREE.Mesh(new THREE.SphereGeometry(0.22, 18, 14), snowCapMat);
   const cl2 = new THREE.Mesh(new THREE.SphereGeometry(0.18, 18, 14), snowCapMat);
+  cl1.name = 'cl1';
+  cl2.name = 'cl2';
   cl1.position.set(0.42, 2.30, 0.22);
   cl2.position.set(-0.36, 2.25, -0.10);
 
@@ -379,7 +858,6 @@ function makeSnowyTreeMesh(){
   hi.position.set(0.46, 2.28, -0.38);
 
   group.add(shadowBlob(1.15, 0.13), trunk, canopy, snowCap, cl1, cl2, hi);
-  group.userData = { canopy, snowCap, cl1, cl2, hasSnow: true };
   return group;
 }
 
@@ -389,17 +867,65 @@ function makeRockMesh(){
     new THREE.DodecahedronGeometry(0.80, 0),
     new THREE.MeshStandardMaterial({ color: 0xbcc6d3, roughness: 0.98 })
   );
+  rock.name = 'rock';
   rock.position.y = 0.64;
   const snow = new THREE.Mesh(
     new THREE.SphereGeometry(0.55, 16, 12),
     new THREE.MeshStandardMaterial({ color: 0xf6fbff, roughness: 0.96, transparent:true, opacity: 0.55 })
   );
+  snow.name = 'snow';
   snow.scale.y = 0.35;
   snow.position.y = 1.00;
   group.add(shadowBlob(1.00, 0.12), rock, snow);
   return group;
 }
 
+// Critters asleep under rocks (sim CRITTERS), curled up with their eyes shut
+function makeCritterMesh(kind){
+  const g = new THREE.Group();
+  g.add(shadowBlob(0.34, 0.12));
+  const body = new THREE.Group(); // breathes (scale.y)
+  g.add(body);
+  const mat = (color) => new THREE.MeshStandardMaterial({ color, roughness: 0.9 });
+  const lid = mat(0x2b2b2b);
+  if (kind === 'frog') {
+    const skin = mat(0x7cc47a);
+    const torso = new THREE.Mesh(new THREE.SphereGeometry(0.22, 16, 12), skin);
+    torso.scale.set(1.15, 0.62, 1.25);
+    torso.position.y = 0.13;
+    body.add(torso);
+    for (const sx of [-1, 1]) {
+      const eye = new THREE.Mesh(new THREE.SphereGeometry(0.07, 12, 10), skin);
+      eye.position.set(0.09 * sx, 0.24, 0.14);
+      const shut = new THREE.Mesh(new THREE.BoxGeometry(0.07, 0.012, 0.02), lid);
+      shut.position.set(0.09 * sx, 0.25, 0.205);
+      body.add(eye, shut);
+    }
+  } else {
+    // hedgehog: a spiky brown ball with a pale face
+    const spines = new THREE.Mesh(new THREE.IcosahedronGeometry(0.25, 1), mat(0x6e5542));
+    spines.scale.set(1.0, 0.7, 1.15);
+    spines.position.y = 0.16;
+    const face = new THREE.Mesh(new THREE.SphereGeometry(0.12, 14, 10), mat(0xe6cfb3));
+    face.scale.set(1.0, 0.85, 1.1);
+    face.position.set(0, 0.12, 0.22);
+    const nose = new THREE.Mesh(new THREE.SphereGeometry(0.03, 8, 6), lid);
+    nose.position.set(0, 0.12, 0.345);
+    body.add(spines, face, nose);
+    for (const sx of [-1, 1]) {
+      const shut = new THREE.Mesh(new THREE.BoxGeometry(0.045, 0.01, 0.02), lid);
+      shut.position.set(0.05 * sx, 0.17, 0.31);
+      body.add(shut);
+    }
+  }
+  g.userData.body = body;
+  return g;
+}
+function updateCritters(){
+  const t = Date.now() * 0.001;
+  critterViews.forEach((c, i) => { c.userData.body.scale.y = 1 + 0.05 * Math.sin(t * 2.2 + i); });
+}
+
 // House
 function makeHouseMesh(){
   const g = new THREE.Group();
@@ -503,7 +1029,8 @@ function buildIndoor(){
   const gbeam2 = new THREE.Mesh(beamGeo, barMat); gbeam2.rotation.z = Math.PI/2; gbeam2.position.set(0, 0.9, 6.85);
   gate.add(gbeam1, gbeam2);
 
-  // furniture: bed, table, chair, shelf
+  // furniture: bed, table, chair, shelf (placed where sim.js INDOOR_FURNITURE has them)
+  const place = (obj, id) => { const f = INDOOR_FURNITURE.find(o => o.id === id); obj.position.set(f.x, obj.position.y, f.z); };
   const bed = new THREE.Group();
   const bedBase = new THREE.Mesh(new THREE.BoxGeometry(2.4, 0.35, 1.4), new THREE.MeshStandardMaterial({ color: 0x6b7a8f, roughness: 0.92 }));
   bedBase.position.y = 0.20;
@@ -512,7 +1039,7 @@ function buildIndoor(){
   const pillow = new THREE.Mesh(new THREE.BoxGeometry(0.55, 0.14, 0.35), new THREE.MeshStandardMaterial({ color: 0xffffff, roughness: 0.95 }));
   pillow.position.set(-0.75, 0.53, -0.40);
   bed.add(bedBase, mattress, pillow);
-  bed.position.set(-4.2, 0, -2.5);
+  place(bed, 'bed');
 
   const table = new THREE.Group();
   const top = new THREE.Mesh(new THREE.BoxGeometry(1.4, 0.10, 0.9), new THREE.MeshStandardMaterial({ color: 0x8a5a34, roughness: 0.93 }));
@@ -524,7 +1051,7 @@ function buildIndoor(){
     table.add(leg);
   }
   table.add(top);
-  table.position.set(2.6, 0, -1.6);
+  place(table, 'table');
 
   const chair = new THREE.Group();
   const seat = new THREE.Mesh(new THREE.BoxGeometry(0.65, 0.10, 0.65), new THREE.MeshStandardMaterial({ color: 0x8a5a34, roughness: 0.93 }));
@@ -532,7 +1059,7 @@ function buildIndoor(){
   const back = new THREE.Mesh(new THREE.BoxGeometry(0.65, 0.65, 0.10), new THREE.MeshStandardMaterial({ color: 0x6a3c1f, roughness: 0.93 }));
   back.position.set(0, 0.78, -0.28);
   chair.add(seat, back);
-  chair.position.set(2.6, 0, -0.4);
+  place(chair, 'chair');
 
   const shelf = new THREE.Group();
   const shelfMat = new THREE.MeshStandardMaterial({ color: 0x545454, roughness: 0.95 });
@@ -542,7 +1069,7 @@ function buildIndoor(){
   const side = new THREE.Mesh(new THREE.BoxGeometry(0.10, 1.55, 0.4), shelfMat); side.position.set(-0.55, 0.80, 0);
   const side2 = side.clone(); side2.position.set(0.55, 0.80, 0);
   shelf.add(s1,s2,s3,side,side2);
-  shelf.position.set(4.8, 0, 2.2);
+  place(shelf, 'shelf');
 
   // warm lamp
   const lamp = new THREE.PointLight(0xffe5b6, 1.2, 40);
@@ -554,7 +1081,8 @@ function buildIndoor(){
     new THREE.MeshStandardMaterial({ color: 0xb44a4a, roughness: 0.9 })
   );
   rug.rotation.x = -Math.PI/2;
-  rug.position.set(0, 0.02, 0.6);
+  rug.position.y = 0.02;
+  place(rug, 'rug');
 
   indoorGroup.add(floor, w1,w2,w3,w4, bars, gate, rug, bed, table, chair, shelf, lamp);
 
@@ -563,10 +1091,8 @@ function buildIndoor(){
     new THREE.CylinderGeometry(0.8, 0.8, 0.1, 18),
     new THREE.MeshStandardMaterial({ color: 0x7ec8ff, roughness: 0.75, transparent:true, opacity:0.65 })
   );
-  marker.position.set(0, 0.05, 6.0);
+  marker.position.set(INDOOR_DOOR.x, 0.05, INDOOR_DOOR.z);
   indoorGroup.add(marker);
-
-  state.indoorDoor = { type:'door', x:0, z:6.0, r:1.2, obj:marker };
 }
 buildIndoor();
 
@@ -684,38 +1210,17 @@ function makeCat({ fur=0xffd2e1, ear=0xffd2e1, nose=0xff7aa2, stripe=0xffffff }
   return g;
 }
 
-function pickWanderTarget(avoidX, avoidZ){
-  for (let i=0;i<40;i++) {
-    const p = randomLandPoint(2.2);
-    if (dist2(p.x, p.z, avoidX, avoidZ) < 9) continue;
-    return { x: p.x, z: p.z };
-  }
-  return { x: 0, z: 0 };
-}
-
-function addCatNPC(name, x, z, palette, role){
-  const group = makeCat(palette);
-  group.position.set(x, 0, z);
+function addCatView(npc){
+  const group = makeCat(npc.palette);
+  group.position.set(npc.x, 0, npc.z);
+  group.rotation.y = npc.ry;
+  castShadows(group);
   outdoorGroup.add(group);
-
-  const npc = {
-    type: 'npc',
-    name,
-    role,
-    obj: group,
-    x, z,
-    r: 0.90,
-    speed: randRange(1.05, 1.55),
-    wait: randRange(0.2, 1.2),
-    target: pickWanderTarget(x, z),
-    mood: Math.random() < 0.5 ? 'cheer' : 'calm',
-    freeze: 0,
-  };
-  interactables.push(npc);
+  npcViews.set(npc.id, group);
 }
 
 // Pickups (fruits)
-function spawnPickup(kind, x, z){
+function makePickupMesh(kind){
   const group = new THREE.Group();
   const sh = shadowBlob(0.42, 0.14);
   let mesh;
@@ -759,13 +1264,31 @@ function spawnPickup(kind, x, z){
     group.add(sh, mesh);
   }
 
-  group.position.set(x, 0, z);
-  outdoorGroup.add(group);
-  pickups.push({ kind, obj: group, x, z, r: 0.55 });
+  return group;
+}
+// add meshes for new sim pickups, drop the ones that were collected
+function syncPickups(){
+  const live = new Set();
+  for (const p of sim.state.pickups) {
+    live.add(p.id);
+    if (pickupViews.has(p.id)) continue;
+    const obj = makePickupMesh(p.kind);
+    castShadows(obj);
+    obj.position.set(p.x, 0, p.z);
+    outdoorGroup.add(obj);
+    pickupViews.set(p.id, obj);
+  }
+  for (const [id, obj] of pickupViews) {
+    if (live.has(id)) continue;
+    outdoorGroup.remove(obj);
+    pickupViews.delete(id);
+  }
 }
 
 // Snow burst particles
 function spawnSnowBurst(x, y, z, count=22){
+  audio.play('snow', { x, z, vol: clamp(count/26, 0.3, 1) });
+  count = Math.max(1, Math.round(count * gfxPreset().particles));
   const geo = new THREE.SphereGeometry(0.06, 8, 8);
   const mat = new THREE.MeshStandardMaterial({ color: 0xf6fbff, roughness: 0.95 });
   for (let i=0;i<count;i++) {
@@ -790,6 +1313,70 @@ function updateParticles(dt){
   }
 }
 
+// Snowfall: flakes fill a box that follows the camera target and the vertex shader wraps them through it.
+// Fall and wind only move two uniforms (snowDrift), so there is no per-flake work on the CPU.
+const SNOW_MAX = 2400;
+const SNOW_BOX = new THREE.Vector3(44, 22, 44);
+const SNOW_WIND = new THREE.Vector2(1, 0.35).normalize();
+// per sim weather: amount = share of SNOW_MAX, fall/wind in m/s, fog = share of the fog distance,
+// tint = how far the sky goes toward SNOW_TINT (and the sun dims)
+const WEATHER_VIEW = {
+  clear:    { amount: 0,    fall: 1.2, wind: 0,   fog: 1.00, tint: 0 },
+  light:    { amount: 0.30, fall: 1.4, wind: 0.6, fog: 0.80, tint: 0.15 },
+  blizzard: { amount: 1.00, fall: 3.4, wind: 7.0, fog: 0.35, tint: 0.55 },
+};
+const SNOW_TINT = new THREE.Color(0xe4e9ef);
+const snowGeo = new THREE.BufferGeometry();
+{
+  const pos = new Float32Array(SNOW_MAX * 3);
+  for (let i=0; i<SNOW_MAX; i++) {
+    pos[i*3] = Math.random() * SNOW_BOX.x;
+    pos[i*3+1] = Math.random() * SNOW_BOX.y;
+    pos[i*3+2] = Math.random() * SNOW_BOX.z;
+  }
+  snowGeo.setAttribute('position', new THREE.BufferAttribute(pos, 3));
+}
+const snowDrift = new THREE.Vector3();  // how far the air has moved the flakes (y = fallen)
+const snowCorner = new THREE.Vector3(); // min corner of the box around the camera target
+const snowMat = new THREE.PointsMaterial({ color: 0xffffff, size: 0.14, transparent: true, opacity: 0.9, depthWrite: false });
+snowMat.onBeforeCompile = (sh) => {
+  sh.uniforms.snowDrift = { value: snowDrift };
+  sh.uniforms.snowCorner = { value: snowCorner };
+  sh.uniforms.snowBox = { value: SNOW_BOX };
+  // fall speed varies per flake in steps of 1/8, so wrapping snowDrift.y at 8 box heights never makes them jump
+  sh.vertexShader = 'uniform vec3 snowDrift;\nuniform vec3 snowCorner;\nuniform vec3 snowBox;\n'
+    + sh.vertexShader.replace('#include <begin_vertex>', [
+      'float fallK = 0.75 + floor(fract(position.x * 7.13 + position.z * 3.71) * 4.0) / 8.0;',
+      'vec3 p = position + vec3(snowDrift.x, -snowDrift.y * fallK, snowDrift.z);',
+      'vec3 transformed = snowCorner + mod(p - snowCorner, snowBox);',
+      'transformed.x += 0.35 * sin(transformed.y * 1.3 + position.z);',
+    ].join('\n'));
+  sh.fragmentShader = sh.fragmentShader.replace('#include <clipping_planes_fragment>',
+    'if (length(gl_PointCoord - 0.5) > 0.5) discard;\n#include <clipping_planes_fragment>');
+};
+const snowPoints = new THREE.Points(snowGeo, snowMat);
+snowPoints.frustumCulled = false;
+snowPoints.visible = false;
+outdoorGroup.add(snowPoints);
+
+// dt = 0 while the world is paused (the look still follows the sky)
+function updateWeather(dt){
+  const want = WEATHER_VIEW[sim.state.weather.kind];
+  const k = 1 - Math.exp(-dt / 2.5); // a few seconds to set in / clear up
+  for (const key in weatherView) weatherView[key] += (want[key] - weatherView[key]) * k;
+  snowDrift.x = (snowDrift.x + SNOW_WIND.x * weatherView.wind * dt) % SNOW_BOX.x;
+  snowDrift.z = (snowDrift.z + SNOW_WIND.y * weatherView.wind * dt) % SNOW_BOX.z;
+  snowDrift.y = (snowDrift.y + weatherView.fall * dt) % (SNOW_BOX.y * 8);
+  snowCorner.set(cam.target.x - SNOW_BOX.x/2, -1, cam.target.z - SNOW_BOX.z/2);
+  const n = Math.round(SNOW_MAX * weatherView.amount * gfxPreset().particles);
+  snowGeo.setDrawRange(0, n);
+  snowPoints.visible = n > 0;
+  // blizzard: greyer sky and fog, weaker sun (after updateDayNight() set them for the hour)
+  skyNow.lerp(SNOW_TINT, weatherView.tint);
+  scene.fog.color.copy(skyNow);
+  sun.intensity *= 1 - 0.4 * weatherView.tint;
+}
+
 // Bee
 function makeBee(){
   const g = new THREE.Group();
@@ -819,150 +1406,61 @@ function makeBee(){
   return g;
 }
 
-function startWaspChase(treeId, x, z){
-  if (state.wasp.active) return;
-  const bee = makeBee();
-  bee.position.set(x, 0, z);
-  outdoorGroup.add(bee);
-
-  state.wasp.active = true;
-  state.wasp.obj = bee;
-  state.wasp.treeId = treeId;
-  state.wasp.t = 0;
-
-  // 1s delay before it actually starts chasing
-  state.wasp.delay = 2.0;
-  state.wasp.originX = x;
-  state.wasp.originZ = z;
-
-  toast('🐝', 2.4);
-}
-
-function stopWaspChase(){
-  if (!state.wasp.active) return;
-  if (state.wasp.obj) outdoorGroup.remove(state.wasp.obj);
-  state.wasp.active = false;
-  state.wasp.obj = null;
-  state.wasp.treeId = null;
-  state.wasp.delay = 0;
-  state.wasp.originX = 0;
-  state.wasp.originZ = 0;
-}
-
-function updateWasp(dt){
-  if (!state.wasp.active || !state.wasp.obj) return;
-  state.wasp.t += dt;
-
-  const bee = state.wasp.obj;
-
-  // buzz wings always
-  const u = bee.userData;
-  if (u && u.w1 && u.w2) {
-    const f = Math.sin(state.wasp.t * 32.0);
-    u.w1.rotation.z = 0.5 + f*0.6;
-    u.w2.rotation.z = -0.5 - f*0.6;
-  }
-
-  // 1s wait before chase begins
-  if (state.wasp.delay > 0) {
-    state.wasp.delay -= dt;
-    bee.position.x = state.wasp.originX;
-    bee.position.z = state.wasp.originZ;
-    bee.position.y = 0.35 + Math.sin(state.wasp.t*9.0)*0.10;
-    bee.rotation.y += dt * 2.0;
-    return;
-  }
-
-  const px = player.position.x;
-  const pz = player.position.z;
-  
-  // move toward player
-  const dx = px - bee.position.x;
-  const dz = pz - bee.position.z;
-  const d = Math.hypot(dx, dz);
-  const nx = d>1e-6 ? dx/d : 0;
-  const nz = d>1e-6 ? dz/d : 0;
-
-  const sp = state.wasp.speed;
-  bee.position.x += nx * sp * dt;
-  bee.position.z += nz * sp * dt;
-  bee.position.y = 0.35 + Math.sin(state.wasp.t*9.0)*0.08;
-  bee.rotation.y = Math.atan2(nx, nz);
-
-  // sting
-  if (d < 0.75) {
-    triggerGameOver('😵 刺された！\nTry next time');
-  }
-}
-
-// Build / init world (persisted)
-function shuffle(arr, rnd=Math.random){
-  for (let i=arr.length-1;i>0;i--){
-    const j=(rnd()*(i+1))|0;
-    [arr[i],arr[j]]=[arr[j],arr[i]];
-  }
-  return arr;
-}
-
-function initWorld(){
-  if (state.world && state.world.trees && state.world.trees.length >= 12) return;
-
-  // Fixed layout every new game: deterministic seed
-  const rnd = mulberry32(20260212);
+// Bee meshes follow sim.state.swarm (hover bob / circling the nest are visual only)
+function updateBeeViews(dt){
+  const sw = sim.state.swarm;
+  const live = new Set();
+  for (const b of sw.bees) {
+    live.add(b.id);
+    let bee = beeViews.get(b.id);
+    if (!bee) {
+      bee = makeBee();
+      castShadows(bee);
+      outdoorGroup.add(bee);
+      beeViews.set(b.id, bee);
+    }
 
-  const trees = [];
-  const rocks = [];
+    // buzz wings always
+    const u = bee.userData;
+    if (u && u.w1 && u.w2) {
+      const f = Math.sin(sw.t * 32.0 + b.id);
+      u.w1.rotation.z = 0.5 + f*0.6;
+      u.w2.rotation.z = -0.5 - f*0.6;
+    }
 
-  const TREE_COUNT = 44;
-  const ROCK_COUNT = 12;
-  const dfTrees = [];
-  const DF_TREE_COUNT = 4;
-  for (let i=0;i<DF_TREE_COUNT;i++){
-    const p = randomLandPoint(2.6, rnd);
-    dfTrees.push({ id:`df${i}`, x:p.x, z:p.z, fruit:'dragonfruit', shaken:false, hadWasp:false, coconut:false });
-  }
-  for (let i=0;i<TREE_COUNT;i++) {
-    const p = randomLandPoint(2.6, rnd);
-    trees.push({ id: `t${i}`, x:p.x, z:p.z, fruit:null, coconut:false, shaken:false, hadWasp:false });
-  }
-  for (let i=0;i<ROCK_COUNT;i++) {
-    const p = randomLandPoint(2.6, rnd);
-    rocks.push({ id:`r${i}`, x:p.x, z:p.z });
+    if (b.phase === 'wait') {
+      // circling the nest before launch
+      const a = sw.t * 2.0 + b.id * (Math.PI*2 / sw.bees.length);
+      bee.position.set(b.x + Math.cos(a)*0.6, 0.35 + Math.sin(sw.t*9.0 + b.id)*0.10, b.z + Math.sin(a)*0.6);
+      bee.rotation.y = -a;
+      continue;
+    }
+    bee.position.x = b.x;
+    bee.position.z = b.z;
+    bee.position.y = 0.35 + Math.sin(sw.t*9.0 + b.id)*0.08;
+    bee.rotation.y = b.ry;
   }
-
-  // Assign fruits: peach x4, apple x4, orange x4
-  const idx = shuffle([...Array(trees.length).keys()], rnd);
-  const give = (kind, n, start)=>{ for(let k=0;k<n;k++) trees[idx[start+k]].fruit = kind; };
-  give('peach', 4, 0);
-  give('apple', 4, 4);
-  give('orange',4, 8);
-
-  // Among fruitless trees: 5% coconuts (instant KO on shake)
-  for (const t of trees) {
-    if (t.fruit) continue;
-    if (rnd() < 0.05) t.coconut = true;
+  for (const [id, bee] of beeViews) {
+    if (live.has(id)) continue;
+    outdoorGroup.remove(bee);
+    beeViews.delete(id);
   }
-
-  state.world = { trees, rocks , dfTrees};
-  flushSave();
 }
 
-// Build meshes from world
+// Build meshes from world (sim.state.world is persisted)
 function buildOutdoor(){
-  initWorld();
+  const w = sim.state.world;
 
   // House at center
   const houseMesh = makeHouseMesh();
-  houseMesh.position.set(0, 0, 0);
+  houseMesh.position.set(HOUSE.x, 0, HOUSE.z);
   outdoorGroup.add(houseMesh);
-  state.house = { type:'house', obj:houseMesh, x:0, z:0, r:2.0 };
-  interactables.push(state.house);
-  // Valentine gate near center
-  const vGate = makeValentineGate();
-  vGate.position.set(0, 0, -6.0);
-  outdoorGroup.add(vGate);
-  state.valentine = { type:'valentine', obj:vGate, x:0, z:-6.0, r:2.2 };
-  interactables.push(state.valentine);
+  // Valentine gate near center (only if the quest has a finale)
+  if (QUEST.finale) {
+    const vGate = makeValentineGate();
+    vGate.position.set(GATE.x, 0, GATE.z);
+    outdoorGroup.add(vGate);
+  }
 
   // Cat house near the main house
   const catHouse = new THREE.Group();
@@ -990,330 +1488,262 @@ function buildOutdoor(){
   paw.rotation.x = -Math.PI/2;
   paw.position.set(0, 0.02, 1.05);
   catHouse.add(chBase, chRoof, chDoor, paw);
-  catHouse.position.set(4.4, 0, 2.2);
+  catHouse.position.set(CAT_HOUSE.x, 0, CAT_HOUSE.z);
   outdoorGroup.add(catHouse);
 
-  // Trees
+  // Trees (+ dragonfruit trees), instanced from one template
+  const trees = [...w.trees, ...(w.dfTrees || [])];
+  treeProp = makeInstancedProp(makeSnowyTreeMesh(), trees);
+  trees.forEach((t, index) => {
+    const v = { index, sway: 0, rx: 0, rz: 0 };
+    treeViews.set(t.id, v);
+    if (t.snow === false) setSnowCap(v, false);
+  });
 
-  // Trees
-  for (const t of state.world.trees) {
-    const mesh = makeSnowyTreeMesh();
-    mesh.position.set(t.x, 0, t.z);
-    outdoorGroup.add(mesh);
-    t.obj = mesh;
-    // state visuals
-    if (t.shaken) {
-      // remove snow cap if already shaken before (optional): keep snow though for vibe
-    }
-    interactables.push({
-      type:'tree',
-      id: t.id,
-      data: t,
-      obj: mesh,
-      x: t.x,
-      z: t.z,
-      r: 1.08,
-      sway: 0,
-      cooldown: 0,
-    });
-  }
-  // Dragonfruit Trees (4)
-for (const t of (state.world.dfTrees || [])) {
-  const mesh = makeSnowyTreeMesh();
-  mesh.position.set(t.x, 0, t.z);
-  outdoorGroup.add(mesh);
-  t.obj = mesh;
-
-  interactables.push({
-    type:'tree',
-    id: t.id,
-    data: t,
-    obj: mesh,
-    x: t.x,
-    z: t.z,
-    r: 1.08,
-    sway: 0,
-    cooldown: 0,
+  // Rocks (flipped ones lie beside their hollow)
+  rockProp = makeInstancedProp(makeRockMesh(), w.rocks);
+  w.rocks.forEach((r, index) => {
+    rockIndex.set(r.id, index);
+    if (r.flipped) showFlippedRock(r);
   });
-}
 
-  // Rocks (still there visually)
-  for (const r of state.world.rocks) {
-    const mesh = makeRockMesh();
-    mesh.position.set(r.x, 0, r.z);
-    outdoorGroup.add(mesh);
-    interactables.push({ type:'rock', id:r.id, x:r.x, z:r.z, r:0.90, obj:mesh, cooldown:0 });
+  // NPCs (cast of the active quest)
+  for (const npc of sim.state.npcs) addCatView(npc);
+}
+// Flipped rock: tipped over beside its hollow, the damp underside up, maybe a critter asleep in the hollow
+const ROCK_FLIP_EULER = new THREE.Euler(1.9, 0.4, 0.3);
+const ROCK_FLIP_OFFSET = new THREE.Vector3(0.75, -0.18, 0.35);
+const ROCK_UNDERSIDE = new THREE.Color(0x9a8f84);
+const hollowGeo = new THREE.CircleGeometry(0.62, 20);
+const hollowMat = new THREE.MeshStandardMaterial({ color: 0x6f6257, roughness: 1.0 });
+function showFlippedRock(r){
+  const i = rockIndex.get(r.id);
+  if (i === undefined) return;
+  rockProp.setPart('rock', i, true, ROCK_FLIP_EULER, ROCK_FLIP_OFFSET);
+  rockProp.setPart('snow', i, false);
+  rockProp.setColor('rock', i, ROCK_UNDERSIDE);
+  const hollow = new THREE.Mesh(hollowGeo, hollowMat);
+  hollow.rotation.x = -Math.PI/2;
+  hollow.position.set(r.x - 0.1, 0.014, r.z - 0.05);
+  hollow.receiveShadow = true;
+  outdoorGroup.add(hollow);
+  if (r.find?.critter) {
+    const c = makeCritterMesh(r.find.critter);
+    c.position.set(r.x - 0.1, 0, r.z - 0.05);
+    c.rotation.y = (rockIndex.get(r.id) * 2.4) % (Math.PI * 2);
+    castShadows(c);
+    outdoorGroup.add(c);
+    critterViews.push(c);
   }
-
-  // NPCs
-  addCatNPC('高揚した猫', -3.0,  2.0,  { fur: 0xffd2e1, ear: 0xffd2e1, nose: 0xff7aa2, stripe: 0xffffff }, 'uplifted');
-  addCatNPC('揺らいだ猫',  9.0, -10.0, { fur: 0xffe8b6, ear: 0xffe8b6, nose: 0xffa0a0, stripe: 0xffffff }, 'wavering');
-  addCatNPC('遠くを見ている猫', -15.0, 10.0, { fur: 0xffffff, ear: 0xffffff, nose: 0xffa0a0, stripe: 0xffffff }, 'distant');
-  addCatNPC('キャットマン', 18.0,  9.0,  { fur: 0x1d1d1d, ear: 0x1d1d1d, nose: 0xff7aa2, stripe: 0xffffff }, 'catman');
-
-
-  // Player start
-  player.position.set(0, 0, 10);
+}
+function setSnowCap(view, on){
+  for (const name of ['snowCap', 'cl1', 'cl2']) treeProp.setPart(name, view.index, on);
 }
 
 buildOutdoor();
+castShadows(outdoorGroup);
+castShadows(groundGroup, false); // the ground only receives
+castShadows(indoorGroup);
+castShadows(player);
+if (sim.generated) flushSave();
+
+// Put the player back where the save left off (stage, position, fruit on the ground)
+function restoreSession(){
+  syncPickups();
+  showStage(sim.state.stage);
+  syncPlayer();
+}
+restoreSession();
 const bigMsgEl = document.getElementById('bigMsg');
 function showBigMsg(text){
   bigMsgEl.textContent = text;
   bigMsgEl.classList.add('show');
 }
 
-// Interaction text
-function gameOver(msg){
-  triggerGameOver(msg || 'Try next time');
+// ---- Dialogue box (trees in QUEST.dialogue, typewriter text, choices; rules via sim.questAction) ----
+const dlgEl = document.getElementById('dialog');
+const dlgPortraitEl = document.getElementById('dlgPortrait');
+const dlgNameEl = document.getElementById('dlgName');
+const dlgTextEl = document.getElementById('dlgText');
+const dlgChoicesEl = document.getElementById('dlgChoices');
+const dlgNextEl = document.getElementById('dlgNext');
+const DLG_CPS = 38; // typewriter: characters per second
+const dlg = { open:false, npc:null, nodeId:null, node:null, page:0, chars:[], shown:0, choice:0 };
+
+const dialogNode = (role, nodeId) => QUEST.dialogue?.[role]?.[nodeId] || { pages:['……'] };
+const dlgPageCount = () => Math.max(1, dlg.node.pages?.length || 0);
+const dlgLastPage = () => dlg.page >= dlgPageCount() - 1;
+const dlgTyped = () => dlg.shown >= dlg.chars.length;
+
+function openDialog(npc, nodeId){
+  const pal = npc.palette || {};
+  dlgPortraitEl?.style.setProperty('--fur', pal.fur || '#ffffff');
+  dlgPortraitEl?.style.setProperty('--ear', pal.ear || pal.fur || '#ffffff');
+  dlgPortraitEl?.style.setProperty('--nose', pal.nose || '#ff7aa2');
+  if (dlgNameEl) dlgNameEl.textContent = t(npc.name);
+  dlg.open = true;
+  dlg.npc = npc;
+  dlgEl?.classList.remove('hidden');
+  gotoDialogNode(nodeId);
 }
+function gotoDialogNode(nodeId){
+  dlg.nodeId = nodeId;
+  dlg.node = dialogNode(dlg.npc.role, nodeId);
+  dlg.page = 0;
+  showDialogPage();
+}
+function showDialogPage(){
+  dlg.chars = Array.from(t(dlg.node.pages?.[dlg.page] ?? '……')); // 絵文字を途中で切らない
+  dlg.shown = 0;
+  dlgTextEl.textContent = '';
+  dlgChoicesEl.innerHTML = '';
+  dlgNextEl?.classList.add('hidden');
+}
+function finishDialogPage(){
+  dlg.shown = dlg.chars.length;
+  dlgTextEl.textContent = dlg.chars.join('');
+  if (dlgLastPage() && dlg.node.choices?.length) renderDialogChoices();
+  else dlgNextEl?.classList.remove('hidden');
+}
+function renderDialogChoices(){
+  dlgChoicesEl.innerHTML = '';
+  dlg.choice = 0;
+  dlg.node.choices.forEach((c, i)=>{
+    const b = document.createElement('button');
+    b.className = 'choice';
+    b.textContent = t(c.text);
+    b.addEventListener('click', (e)=>{ e.stopPropagation(); pickDialogChoice(i); });
+    dlgChoicesEl.appendChild(b);
+  });
+  highlightDialogChoice();
+}
+function highlightDialogChoice(){
+  Array.from(dlgChoicesEl.children).forEach((b, i)=>b.classList.toggle('sel', i === dlg.choice));
+}
+function dialogMove(dir){
+  const n = dlg.node?.choices?.length || 0;
+  if (!n || !dlgTyped() || !dlgLastPage()) return;
+  dlg.choice = (dlg.choice + dir + n) % n;
+  highlightDialogChoice();
+}
+// A / tap: finish typing -> next page -> pick the selected choice -> close
+function dialogAdvance(){
+  if (!dlgTyped()) return finishDialogPage();
+  if (!dlgLastPage()) { dlg.page++; return showDialogPage(); }
+  if (dlg.node.choices?.length) return pickDialogChoice(dlg.choice);
+  closeDialog();
+}
+function pickDialogChoice(i){
+  const c = dlg.node.choices[i];
+  if (c.do && !sim.questAction(c.do, dlg.npc.role, dlg.nodeId)) return closeDialog();
+  if (c.next) gotoDialogNode(c.next);
+  else closeDialog();
+}
+function closeDialog(){
+  if (!dlg.open) return;
+  if (dlg.npc) sim.releaseNpc(dlg.npc.id);
+  dlg.open = false;
+  dlg.npc = null;
+  dlgEl?.classList.add('hidden');
+}
+function updateDialog(dt){
+  if (!dlg.open || dlgTyped()) return;
+  dlg.shown = Math.min(dlg.chars.length, dlg.shown + DLG_CPS * dt);
+  if (dlgTyped()) finishDialogPage();
+  else dlgTextEl.textContent = dlg.chars.slice(0, Math.floor(dlg.shown)).join('');
+}
+dlgEl?.addEventListener('click', ()=>dialogAdvance());
 
-function npcTalk(npc){
-  npc.freeze = 2.8;
-  npc.wait = 0;
-
-  // 役割に応じて処理
-  if (npc.role === 'uplifted'){
-    // Brahma（りんご3）
-    if (invGet('apple') < 3) return toast('高揚した猫「りんごを3つ…」');
-
-    // ★「渡して受け取る」瞬間だけ順番チェック
-    if (state.quest.step !== 0) return gameOver('タロットの順番を間違えた！ゲームオーバー…');
-
-    invAdd('apple', -3);
-    invAdd('tarot_brahma', 1);
-    state.quest.step = 1;
-    flushSave();
-    return toast('高揚した猫「ブラフマーの創造（🃏創）を授ける」');
-  }
-
-  if (npc.role === 'wavering'){
-    // Vishnu（オレンジ3）
-    if (invGet('orange') < 3) return toast('揺らいだ猫「オレンジを3つ…」');
-
-    // ★ここ
-    if (state.quest.step !== 1) return gameOver('タロットの順番を間違えた！ゲームオーバー…');
-
-    invAdd('orange', -3);
-    invAdd('tarot_vishnu', 1);
-    state.quest.step = 2;
-    flushSave();
-    return toast('揺らいだ猫「ヴィシュナの維持（🃏維）を授ける」');
-  }
-
-  if (npc.role === 'distant'){
-    // Shiva（もも3）
-    if (invGet('peach') < 3) return toast('遠くを見ている猫「ももを3つ…」');
-
-    // ★ここ
-    if (state.quest.step !== 2) return gameOver('タロットの順番を間違えた！ゲームオーバー…');
 
-    invAdd('peach', -3);
-    invAdd('tarot_shiva', 1);
-    state.quest.step = 3;
-    flushSave();
-    return toast('遠くを見ている猫「シヴァの破壊（🃏破）を授ける」');
-  }
+// Stage switching (sim.state.stage decides, this only swaps what is shown)
+function showStage(stage){
+  const indoor = stage === 'indoor';
+  outdoorGroup.visible = !indoor;
+  indoorGroup.visible = indoor;
+  (indoor ? indoorGroup : outdoorGroup).add(player);
+  // tighten fog feel
+  if (indoor) { scene.fog.near = 8; scene.fog.far = 36; }
+  else outdoorFog();
+}
 
-  if (npc.role === 'catman'){
-    const hasAllTarot =
-      invGet('tarot_brahma') >= 1 &&
-      invGet('tarot_vishnu') >= 1 &&
-      invGet('tarot_shiva') >= 1;
-
-    if (hasAllTarot && state.quest.step === 3 && invGet('cat_soul_card') < 1){
-      invAdd('tarot_brahma', -1);
-      invAdd('tarot_vishnu', -1);
-      invAdd('tarot_shiva', -1);
-      invAdd('cat_soul_card', 1);
-      state.quest.step = 4;
-      flushSave();
-      return toast('キャットマン「猫の魂のカード（🖤魂）…受け取れ」');
+// Sim events -> toasts, particles, fades, dialogue, saves
+function toastKey(key, params = {}, sec){
+  // item params arrive as kind/count (or items: [[kind, count], ...]), name as an i18n key; show them localized
+  const p = { ...params };
+  if (params.kind) p.item = itemName(params.kind, params.count ?? 1);
+  if (params.items) p.items = params.items.map(([k, n]) => t('items.entry', { item: itemName(k, n), count: n })).join(', ');
+  if (params.name) p.name = t(params.name);
+  toast(t(key, p), sec);
+}
+function handleSimEvents(){
+  let dirty = false;
+  for (const e of sim.drainEvents()) {
+    if (e.type === 'toast') toastKey(e.key, e.params, e.sec);
+    else if (e.type === 'save') dirty = true;
+    else if (e.type === 'inv') { updateInvUI(); if (state.panel) renderPanel(); }
+    else if (e.type === 'craft' || e.type === 'journal' || e.type === 'storage') setPanel(e.type);
+    else if (e.type === 'sleep') {
+      audio.play('sleep');
+      if (e.hours > 0) { fade(true); setTimeout(()=>fade(false), 900); }
     }
-
-    // NGルート：ドラゴンフルーツ3つ渡したらゲームオーバー（今のまま）
-    if (invGet('dragonfruit') >= 3){
-      return gameOver('キャットマンにドラゴンフルーツを渡した…ゲームオーバー！');
+    else if (e.type === 'rockFlip') {
+      const r = sim.state.world.rocks.find(o => o.id === e.id);
+      if (r) showFlippedRock(r);
+      spawnSnowBurst(e.x, 0.6, e.z, 14);
     }
-
-    if (state.quest.step < 3) {
-      return toast('キャットマン「ドラゴンフルーツを３つもってこいっ」');
+    else if (e.type === 'snowCap') {
+      const v = treeViews.get(e.id);
+      if (v) setSnowCap(v, true);
     }
-    return toast('キャットマン「…3つの秩序（🃏創🃏維🃏破）を揃えろ」');
-  }
-
-  toast(`${npc.name}「……」`);
-}
-
-
-// Action logic
-function doAction(){
-  if (state.stage === 'indoor') {
-    // exit door
-    if (!state.started) return;
-    const dx = player.position.x - state.indoorDoor.x;
-    const dz = player.position.z - state.indoorDoor.z;
-    if (Math.hypot(dx,dz) < 1.6) {
-      toast('そとへ出た', 1.2);
+    else if (e.type === 'shake') {
+      // visuals: sway + snow drop
+      const v = treeViews.get(e.id);
+      if (v) {
+        v.sway = 0.75;
+        swayingTrees.add(v);
+        if (e.snow) setSnowCap(v, false);
+      }
+      audio.play('shake', { x: e.x, z: e.z });
+      if (e.snow) spawnSnowBurst(e.x, 2.2, e.z, 26);
+    }
+    else if (e.type === 'pickup') audio.play('pickup', { x: e.x, z: e.z });
+    else if (e.type === 'nest') spawnSnowBurst(e.x, 1.6, e.z, 12);
+    else if (e.type === 'stage') {
+      audio.play('door');
       fade(true);
       setTimeout(()=>{
         fade(false);
-        switchToOutdoor();
+        showStage(sim.state.stage);
       }, 220);
-    } else {
-      toast('空虚な部屋だまるで誰かのみたい', 1.0);
     }
-    return;
-  }
-
-  // If bees are chasing, let player focus on escape. Still allow house entry.
-
-  const px = player.position.x;
-  const pz = player.position.z;
-  // Valentine gate entry (requires cat_soul_card)
-const vd = Math.sqrt(dist2(px, pz, state.valentine.x, state.valentine.z));
-if (vd < 2.6) {
-  if (invGet('cat_soul_card') < 1) {
-    toast('🖤 猫の魂のカードがないと入れない…');
-    return;
-  }
-  toast('💘 HAPPY VALENTINs DAY', 2.0);
-  fade(true);
-  showBigMsg("HAPPY VALENTINE'S DAY");
-
-  setTimeout(()=>{
-  // YouTubeへ遷移
-  window.location.href = "https://www.youtube.com/watch?v=trU-S53fK04&list=RDtrU-S53fK04&start_radio=1";
-  }, 5000);
-  
-  return;
-}
-
-  // Prefer house entry if close enough (even in normal times)
-  const hd = Math.sqrt(dist2(px, pz, 0, 0));
-  if (hd < 2.9) {
-    toast('家に入った！', 1.2);
-    fade(true);
-    setTimeout(()=>{
-      fade(false);
-      switchToIndoor();
-    }, 220);
-    return;
-  }
-
-  let nearest = null;
-  let best = 1e9;
-  for (const o of interactables) {
-    const d = Math.sqrt(dist2(px, pz, o.x, o.z));
-    if (d < 2.3 && d < best) { best=d; nearest=o; }
-  }
-  if (!nearest) { toast('なにもない…'); return; }
-
-  if (nearest.type === 'house') {
-    // entering cancels chase
-    toast('家に入った！', 1.2);
-    fade(true);
-    setTimeout(()=>{
-      fade(false);
-      switchToIndoor();
-    }, 220);
-    return;
-  }
-  function fruitNameJa(kind){
-  if (kind === 'peach') return '桃';
-  if (kind === 'apple') return 'リンゴ';
-  if (kind === 'orange') return 'オレンジ';
-  if (kind === 'dragonfruit') return 'ドラゴンフルーツ';
-  return kind;
-  }
-  if (nearest.type === 'tree') {
-    const t = nearest.data;
-    if (t.shaken) { toast('雪が落ちてきた、気持ちいね'); return; }
-
-    // one-time shake now consumes the tree
-    t.shaken = true;
-
-    // visuals: sway + snow drop
-    nearest.cooldown = 1.4;
-    nearest.sway = 0.75;
-    const ud = nearest.obj.userData;
-    if (ud && ud.hasSnow) {
-      ud.hasSnow = false;
-      if (ud.snowCap) ud.snowCap.visible = false;
-      if (ud.cl1) ud.cl1.visible = false;
-      if (ud.cl2) ud.cl2.visible = false;
-      spawnSnowBurst(nearest.x, 2.2, nearest.z, 26);
-      toast('雪が落ちてきた気持ちいね', 1.6);
+    else if (e.type === 'talk') {
+      const npc = sim.npc(e.npc);
+      if (npc) audio.play('meow', { x: npc.x, z: npc.z, pitch: catPitch(npc.id) });
+      if (npc) openDialog(npc, e.node);
     }
-    
-    // fruit or coconut (instant KO) or nothing/wasps
-    if (t.fruit) {
-      spawnPickup(t.fruit, t.x + (Math.random()*0.9 - 0.45), t.z + 1.2);
-      toast(`木をゆすった！ ${fruitNameJa(t.fruit)}が落ちた！`);
-    } else if (t.coconut) {
-      // immediate game over: "coconut fell" and got hit
-      triggerGameOver('🥥 ココナッツ直撃…\nTry next time');
-    } else {
-      if (!t.hadWasp && Math.random() < 0.20) {
-        t.hadWasp = true; // this tree will never trigger again
-        spawnSnowBurst(nearest.x, 1.6, nearest.z, 12);
-        startWaspChase(t.id, t.x, t.z);
-      } else {
-        toast('木をゆすった… 何もない');
+    else if (e.type === 'gameOver') { audio.play('gameOver'); triggerGameOver(t(e.key)); }
+    else if (e.type === 'finale') {
+      finaleMusic = true;
+      fade(true);
+      showBigMsg(t(e.bigMessage));
+      if (e.url) {
+        setTimeout(()=>{
+          // YouTubeへ遷移
+          window.location.href = e.url;
+        }, e.delay * 1000);
       }
     }
-
-    flushSave();
-    return;
-  }
-
-  if (nearest.type === 'npc') {
-    npcTalk(nearest);
-    return;
-  }
-
-  if (nearest.type === 'rock') {
-    toast('石だ。いまは何も起きない', 1.2);
-    return;
   }
-}
-
-// Stage switching
-function switchToIndoor(){
-  state.stage = 'indoor';
-
-  // cancel chase
-  stopWaspChase();
-
-  outdoorGroup.visible = false;
-  indoorGroup.visible = true;
-  // move player into room
-  indoorGroup.add(player);
-  player.position.set(0, 0, 4.0);
-  player.rotation.y = Math.PI;
-
-  // tighten fog feel
-  scene.fog.near = 8; scene.fog.far = 36;
-}
-
-function switchToOutdoor(){
-  state.stage = 'outdoor';
-  indoorGroup.visible = false;
-  outdoorGroup.visible = true;
-  outdoorGroup.add(player);
-  // spawn just outside house door
-  player.position.set(0, 0, 3.6);
-  player.rotation.y = Math.PI;
-
-  scene.fog.near = 30; scene.fog.far = 150;
+  if (dirty) flushSave();
 }
 
 // Controls
-const joy = { active:false, pid:null, centerX:0, centerY:0, dx:0, dy:0 };
+// joy.dx/dy is the single movement vector; src = which input wrote it ('touch' | 'key' | 'pad' | null)
+const joy = { active:false, pid:null, centerX:0, centerY:0, dx:0, dy:0, src:null };
 const joyEl = document.getElementById('joystick');
 const knobEl = document.getElementById('joyKnob');
 function setKnob(x, y){ knobEl.style.transform = `translate(calc(-50% + ${x}px), calc(-50% + ${y}px))`; }
-function resetJoy(){ joy.active=false; joy.pid=null; joy.dx=0; joy.dy=0; setKnob(0,0); }
+function resetJoy(){ joy.active=false; joy.pid=null; joy.dx=0; joy.dy=0; joy.src=null; setKnob(0,0); }
 resetJoy();
 
 function joyDown(e){
@@ -1322,6 +1752,7 @@ function joyDown(e){
   const x = p.clientX, y = p.clientY;
   if (x < rect.left || x > rect.right || y < rect.top || y > rect.bottom) return;
   joy.active = true;
+  joy.src = 'touch';
   joy.pid = p.identifier ?? 'mouse';
   joy.centerX = x;
   joy.centerY = y;
@@ -1370,15 +1801,411 @@ window.addEventListener('mouseup', (e)=>joyUp(e));
 const actionEl = document.getElementById('action');
 let actionHeld = false;
 actionEl.addEventListener('touchstart', (e)=>{ actionHeld=true; actionEl.style.transform='scale(0.98)'; e.preventDefault(); }, { passive:false });
-actionEl.addEventListener('touchend', (e)=>{ actionHeld=false; actionEl.style.transform='scale(1)'; doAction(); e.preventDefault(); }, { passive:false });
+actionEl.addEventListener('touchend', (e)=>{ actionHeld=false; actionEl.style.transform='scale(1)'; pressAction(); e.preventDefault(); }, { passive:false });
 actionEl.addEventListener('touchcancel', (e)=>{ actionHeld=false; actionEl.style.transform='scale(1)'; e.preventDefault(); }, { passive:false });
 actionEl.addEventListener('mousedown', (e)=>{ actionHeld=true; actionEl.style.transform='scale(0.98)'; e.preventDefault(); });
-window.addEventListener('mouseup', ()=>{ if(!actionHeld) return; actionHeld=false; actionEl.style.transform='scale(1)'; doAction(); });
+window.addEventListener('mouseup', ()=>{ if(!actionHeld) return; actionHeld=false; actionEl.style.transform='scale(1)'; pressAction(); });
+
+// On-screen pad: hidden while a keyboard is in use, back on the next touch
+function setPadVisible(v){ document.body.classList.toggle('noPad', !v); }
+window.addEventListener('touchstart', ()=>setPadVisible(true), { passive:true, capture:true });
+
+// Pause menu (Esc)
+const menuEl = document.getElementById('menuScreen');
+const menuResumeEl = document.getElementById('menuResume');
+const menuRestartEl = document.getElementById('menuRestart');
+function setMenuOpen(v){
+  state.menuOpen = !!v;
+  menuEl?.classList.toggle('hidden', !state.menuOpen);
+  if (state.menuOpen) {
+    keysDown.clear();
+    resetJoy();
+    menuResumeEl?.focus();
+  } else {
+    document.activeElement?.blur?.(); // 隠れたボタンにフォーカスが残ると Space/Enter が A にならない
+  }
+}
+function toggleMenu(){
+  // メニューはプレイ中だけ（スタート画面・ゲームオーバー中は開かない）
+  if (!state.started && !state.menuOpen) return;
+  setMenuOpen(!state.menuOpen);
+}
+menuResumeEl?.addEventListener('click', ()=>setMenuOpen(false));
+menuRestartEl?.addEventListener('click', ()=>{
+  if (confirm(t('menu.restartConfirm'))) resetGame();
+});
+
+// Panels opened from the furniture (table, chair, shelf): pause like the menu, ✕ / Esc / Start closes
+const panels = {
+  craft: document.getElementById('craftScreen'),
+  journal: document.getElementById('journalScreen'),
+  storage: document.getElementById('storageScreen'),
+};
+for (const id of Object.keys(panels)) {
+  document.getElementById(`${id}Close`)?.addEventListener('click', ()=>setPanel(null));
+}
+function renderPanel(){
+  if (state.panel === 'craft') renderCraft();
+  else if (state.panel === 'journal') renderJournal();
+  else if (state.panel === 'storage') renderStorage();
+}
+function setPanel(id){
+  state.panel = panels[id] ? id : null;
+  for (const [k, el] of Object.entries(panels)) el?.classList.toggle('hidden', k !== state.panel);
+  if (!state.panel) { document.activeElement?.blur?.(); return; }
+  keysDown.clear();
+  resetJoy();
+  renderPanel();
+  panels[state.panel].querySelector('button:not(:disabled)')?.focus();
+}
+// after a re-render: keep the focus on the row just used (or the next one still usable)
+function refocusRow(rows, key){
+  if (key) (rows.find(b => b.dataset.key === key && !b.disabled) || rows.find(b => !b.disabled) || panels[state.panel]?.querySelector('button'))?.focus();
+}
+
+// Crafting (recipes.js via sim.recipes): one row per recipe, greyed out while something is missing
+const craftListEl = document.getElementById('craftList');
+function renderCraft(){
+  if (!craftListEl) return;
+  const focused = document.activeElement?.dataset?.key;
+  craftListEl.innerHTML = '';
+  const rows = [];
+  for (const r of sim.recipes) {
+    const [kind, count] = Object.entries(r.makes)[0];
+    const needs = Object.entries(r.needs);
+    const b = document.createElement('button');
+    b.className = 'btn ghost craftRow';
+    b.dataset.key = r.id;
+    b.disabled = !sim.canCraft(r.id);
+    const made = document.createElement('span');
+    made.className = 'made';
+    made.textContent = `${r.icon} ${itemName(kind, count)}${count > 1 ? ` ×${count}` : ''}`;
+    const have = document.createElement('span');
+    have.className = 'needs';
+    have.textContent = needs.map(([k, n]) => `${itemIcon(k)} ${invGet(k)}/${n}`).join('  ');
+    b.append(made, have);
+    b.setAttribute('aria-label', `${itemName(kind, count)}: ` +
+      needs.map(([k, n]) => t('items.entry', { item: itemName(k, n), count: n })).join(', '));
+    b.addEventListener('click', ()=>craftRecipe(r));
+    craftListEl.appendChild(b);
+    rows.push(b);
+  }
+  refocusRow(rows, focused);
+}
+function craftRecipe(r){
+  // クエストでまだ要る分まで使うなら確認する
+  const reserved = sim.questReserved();
+  const short = Object.entries(r.needs).filter(([k, n]) => reserved[k] && invGet(k) - n < reserved[k]);
+  if (short.length && !confirm(t('craft.questWarn', { items: short.map(([k]) => itemName(k, reserved[k])).join(', ') }))) return;
+  if (!sim.craft(r.id)) return;
+  audio.play('pickup');
+  handleSimEvents();
+}
+
+// Journal (chair): quest steps done so far and the current one, rocks flipped, critters met
+const journalListEl = document.getElementById('journalList');
+function journalLine(text, cls = ''){
+  const d = document.createElement('div');
+  d.className = `journalLine ${cls}`;
+  d.textContent = text;
+  journalListEl.appendChild(d);
+}
+function renderJournal(){
+  if (!journalListEl) return;
+  journalListEl.innerHTML = '';
+  const done = sim.state.quest.step;
+  const castName = (role) => t(QUEST.cast.find(c => c.role === role)?.name || role);
+  const items = (req) => Object.entries(req || {}).map(([k, n]) => t('items.entry', { item: itemName(k, n), count: n })).join(', ');
+  if (!QUEST.steps.length) journalLine(t('journal.noQuest'), 'dim');
+  QUEST.steps.forEach((st, i) => {
+    if (i < done) journalLine(`✓ ${t('journal.step', { name: castName(st.npc), items: items(st.requires) })}`, 'done');
+    else if (i === done) journalLine(`→ ${t('journal.step', { name: castName(st.npc), items: items(st.requires) })}`);
+  });
+  if (QUEST.steps.length && done < QUEST.steps.length - 1) journalLine(t('journal.more', { count: QUEST.steps.length - done - 1 }), 'dim');
+  if (QUEST.finale && done >= QUEST.steps.length) journalLine(`→ ${t('journal.gate')}`);
+  const rocks = sim.state.world.rocks || [];
+  journalLine(t('journal.rocks', { n: rocks.filter(r => r.flipped).length, total: rocks.length }));
+  const met = [...new Set(rocks.filter(r => r.flipped && r.find?.critter).map(r => r.find.critter))];
+  if (met.length) journalLine(t('journal.critters', { names: met.map(c => t(`critter.${c}`)).join(', ') }));
+}
+
+// Storage (shelf): A on a bag row puts one on the shelf, on a shelf row takes one back
+const storageListEl = document.getElementById('storageList');
+function renderStorage(){
+  if (!storageListEl) return;
+  const focused = document.activeElement?.dataset?.key;
+  storageListEl.innerHTML = '';
+  const rows = [];
+  const sides = [
+    ['bag', sim.state.inv, (k)=>sim.store(k)],
+    ['shelf', sim.state.storage, (k)=>sim.takeOut(k)],
+  ];
+  for (const [side, from, move] of sides) {
+    const title = document.createElement('div');
+    title.className = 'journalLine dim';
+    title.textContent = t(`storage.${side}`);
+    storageListEl.appendChild(title);
+    const kinds = Object.keys(from).filter(k => from[k] > 0);
+    if (!kinds.length) {
+      const d = document.createElement('div');
+      d.className = 'journalLine dim';
+      d.textContent = t('storage.empty');
+      storageListEl.appendChild(d);
+    }
+    for (const k of kinds) {
+      const b = document.createElement('button');
+      b.className = 'btn ghost craftRow';
+      b.dataset.key = `${side}:${k}`;
+      b.textContent = `${itemIcon(k)} ${itemName(k, from[k])} ×${from[k]}`;
+      b.setAttribute('aria-label', t(`storage.${side === 'bag' ? 'put' : 'take'}`, { item: itemName(k, 1) }));
+      b.addEventListener('click', ()=>{
+        if (!move(k)) return;
+        handleSimEvents();
+      });
+      storageListEl.appendChild(b);
+      rows.push(b);
+    }
+  }
+  refocusRow(rows, focused);
+}
+
+// Graphics quality select (device-wide, like the language)
+const gfxSelectEl = document.getElementById('gfxSelect');
+if (gfxSelectEl) {
+  for (const id of Object.keys(GFX_PRESETS)) {
+    const o = document.createElement('option');
+    o.value = id;
+    o.dataset.i18n = `gfx.${id}`;
+    o.textContent = t(`gfx.${id}`);
+    o.selected = id === gfx.id;
+    gfxSelectEl.appendChild(o);
+  }
+  gfxSelectEl.addEventListener('change', ()=>setGfx(gfxSelectEl.value));
+}
+
+// Day length select (device-wide): game-clock speed or the real clock
+const clockSelectEl = document.getElementById('clockSelect');
+if (clockSelectEl) {
+  for (const id of Object.keys(DAY_LENGTHS)) {
+    const o = document.createElement('option');
+    o.value = id;
+    o.dataset.i18n = `clock.${id}`;
+    o.textContent = t(`clock.${id}`);
+    o.selected = id === sim.dayLength;
+    clockSelectEl.appendChild(o);
+  }
+  clockSelectEl.addEventListener('change', ()=>{
+    sim.setDayLength(clockSelectEl.value);
+    settings.dayLength = sim.dayLength;
+    writeSettings();
+  });
+}
+
+// Sound (device-wide): mute button / M key, volume sliders
+const audio = IslandAudio.createAudio(settings.audio || {});
+const muteBtnEl = document.getElementById('muteBtn');
+const volMasterEl = document.getElementById('volMaster');
+const volSfxEl = document.getElementById('volSfx');
+const volMusicEl = document.getElementById('volMusic');
+function writeAudioSettings(){
+  settings.audio = { muted: audio.muted, ...audio.volume };
+  writeSettings();
+}
+function renderMute(){ if (muteBtnEl) muteBtnEl.textContent = audio.muted ? '🔇' : '🔊'; }
+function setMuted(v){
+  audio.setMuted(v);
+  renderMute();
+  writeAudioSettings();
+}
+renderMute();
+muteBtnEl?.addEventListener('click', ()=>setMuted(!audio.muted));
+for (const [el, kind] of [[volMasterEl, 'master'], [volSfxEl, 'sfx'], [volMusicEl, 'music']]) {
+  if (!el) continue;
+  el.value = String(Math.round(audio.volume[kind] * 100));
+  el.addEventListener('input', ()=>audio.setVolume(kind, el.value / 100));
+  el.addEventListener('change', writeAudioSettings);
+}
+// browsers only start audio after a gesture
+for (const type of ['pointerdown', 'touchstart', 'keydown']) {
+  window.addEventListener(type, ()=>audio.unlock(), { capture:true, passive:true });
+}
+
+// A button from any input source
+// (the sim handles it on the next step)
+let actionQueued = false;
+function pressAction(){
+  if (state.menuOpen || state.panel) return;
+  if (dlg.open) return dialogAdvance();
+  if (!state.started) {
+    if (startScreenEl && !startScreenEl.classList.contains('hidden')) startBtnEl?.click();
+    return;
+  }
+  actionQueued = true;
+}
+
+// Keyboard: WASD / arrows feed joy like the stick does, Space/Enter = A, Esc = menu
+const KEY_DIRS = {
+  KeyW: [0,-1], ArrowUp: [0,-1],
+  KeyS: [0, 1], ArrowDown: [0, 1],
+  KeyA: [-1,0], ArrowLeft: [-1,0],
+  KeyD: [ 1,0], ArrowRight: [ 1,0],
+};
+const ACTION_KEYS = new Set(['Space', 'Enter', 'NumpadEnter']);
+const keysDown = new Set();
+
+function applyKeysToJoy(){
+  if (joy.src === 'touch') return; // タッチ操作中はそちらを優先
+  let x = 0, y = 0;
+  for (const code of keysDown) {
+    const d = KEY_DIRS[code];
+    if (d) { x += d[0]; y += d[1]; }
+  }
+  const len = Math.hypot(x, y);
+  if (len > 0) {
+    joy.dx = x/len; joy.dy = y/len; joy.src = 'key';
+  } else if (joy.src === 'key') {
+    joy.dx = 0; joy.dy = 0; joy.src = null;
+  }
+}
+function isTypingTarget(el){
+  return !!el && (el.tagName === 'INPUT' || el.tagName === 'TEXTAREA' || el.tagName === 'SELECT' || el.isContentEditable);
+}
+// a focused button/link (slot, export, seed …): Space/Enter belongs to it, not to A
+function isControlTarget(el){
+  return !!el && (isTypingTarget(el) || el.tagName === 'BUTTON' || (el.tagName === 'A' && !!el.href) || el.tagName === 'SUMMARY');
+}
+
+window.addEventListener('keydown', (e)=>{
+  if (isTypingTarget(e.target)) return;
+  if (e.code === 'Escape') {
+    if (dlg.open) closeDialog(); else if (state.panel) setPanel(null); else toggleMenu();
+    e.preventDefault();
+    return;
+  }
+  if (e.code === 'F3' || e.code === 'Backquote') { setDebug(!dbg.on); e.preventDefault(); return; }
+  if (e.code === 'F4') { setDebugCells(!dbg.cells); e.preventDefault(); return; }
+  if (e.code === 'KeyM' && !e.repeat) { setMuted(!audio.muted); return; }
+  if (state.menuOpen || state.panel) return; // メニュー・パネルのボタン操作はブラウザに任せる
+  if (KEY_DIRS[e.code]) {
+    setPadVisible(false);
+    if (dlg.open && !e.repeat && KEY_DIRS[e.code][1]) dialogMove(KEY_DIRS[e.code][1]);
+    keysDown.add(e.code);
+    applyKeysToJoy();
+    e.preventDefault();
+    return;
+  }
+  if (ACTION_KEYS.has(e.code)) {
+    if (isControlTarget(document.activeElement)) return;
+    setPadVisible(false);
+    e.preventDefault();
+    if (!e.repeat) pressAction();
+  }
+});
+window.addEventListener('keyup', (e)=>{
+  if (!keysDown.delete(e.code)) return;
+  applyKeysToJoy();
+});
+window.addEventListener('blur', ()=>{ keysDown.clear(); applyKeysToJoy(); });
+
+// Gamepad (standard mapping), polled every frame from loop()
+const PAD_DEADZONE = 0.18;
+const PAD_BTN_SOUTH = 0;
+const PAD_BTN_START = 9;
+const PAD_DPAD = { 12:[0,-1], 13:[0,1], 14:[-1,0], 15:[1,0] }; // up, down, left, right
+const padPrev = new Map(); // gamepad.index -> buttons pressed last frame
+
+// radial dead-zone, rescaled so the stick still reaches 1.0 at the rim
+function applyDeadzone(x, y){
+  const m = Math.hypot(x, y);
+  if (m < PAD_DEADZONE) return [0, 0];
+  const k = Math.min(1, (m - PAD_DEADZONE) / (1 - PAD_DEADZONE)) / m;
+  return [x*k, y*k];
+}
+
+// D-pad up/down moves focus between the controls of the menu / a panel, left/right changes a focused
+// select or slider, south button presses the focused button
+function padNav(el, edge){
+  const ctrls = Array.from(el?.querySelectorAll('button:not(:disabled), select:not(:disabled), input[type=range]:not(:disabled)') || []);
+  if (!ctrls.length) return;
+  const i = ctrls.indexOf(document.activeElement);
+  if (edge(12)) ctrls[(i - 1 + ctrls.length) % ctrls.length].focus();
+  if (edge(13)) ctrls[(i + 1) % ctrls.length].focus();
+  if (i >= 0 && (edge(14) || edge(15))) padAdjust(ctrls[i], edge(15) ? 1 : -1);
+  if (edge(PAD_BTN_SOUTH)) {
+    const c = i >= 0 ? ctrls[i] : ctrls[0];
+    if (c.tagName === 'BUTTON') c.click(); else c.focus();
+  }
+}
+// select は前後の項目へ、range は step ぶん動かして、マウス操作と同じ input/change を流す
+function padAdjust(el, dir){
+  if (el.tagName === 'SELECT') {
+    const j = clamp(el.selectedIndex + dir, 0, el.options.length - 1);
+    if (j === el.selectedIndex) return;
+    el.selectedIndex = j;
+  } else if (el.tagName === 'INPUT') {
+    const before = el.value;
+    if (dir > 0) el.stepUp(); else el.stepDown();
+    if (el.value === before) return;
+    el.dispatchEvent(new Event('input', { bubbles: true }));
+  } else return;
+  el.dispatchEvent(new Event('change', { bubbles: true }));
+}
+
+function pollGamepads(){
+  const pads = navigator.getGamepads ? navigator.getGamepads() : [];
+  let x = 0, y = 0;
+  for (const gp of pads) {
+    if (!gp || !gp.connected) continue;
+    const pressed = gp.buttons.map(b => b.pressed);
+    const prev = padPrev.get(gp.index) || [];
+    const edge = (i) => !!pressed[i] && !prev[i];
+    padPrev.set(gp.index, pressed);
+
+    if (edge(PAD_BTN_START)) { if (state.panel && !state.menuOpen) setPanel(null); else toggleMenu(); }
+    if (state.menuOpen) { padNav(menuEl, edge); continue; }
+    if (state.panel) { padNav(panels[state.panel], edge); continue; }
+    if (dlg.open) {
+      if (edge(12)) dialogMove(-1);
+      if (edge(13)) dialogMove(1);
+    }
+
+    const [sx, sy] = applyDeadzone(gp.axes[0] || 0, gp.axes[1] || 0);
+    x += sx; y += sy;
+    for (const b in PAD_DPAD) {
+      if (pressed[b]) { x += PAD_DPAD[b][0]; y += PAD_DPAD[b][1]; }
+    }
+    if (edge(PAD_BTN_SOUTH)) { setPadVisible(false); pressAction(); }
+  }
+
+  if (joy.src === 'touch') return;
+  const len = Math.hypot(x, y);
+  if (len > 0) {
+    const k = len > 1 ? 1/len : 1;
+    joy.dx = x*k; joy.dy = y*k; joy.src = 'pad';
+    setPadVisible(false);
+  } else if (joy.src === 'pad') {
+    joy.dx = 0; joy.dy = 0; joy.src = null;
+    applyKeysToJoy(); // キーが押しっぱなしならそちらに戻す
+  }
+}
+
+window.addEventListener('gamepadconnected', (e)=>{
+  setPadVisible(false);
+  toast(t('pad.connected', { name: e.gamepad.id.split('(')[0].trim() || 'Gamepad' }), 1.8);
+});
+window.addEventListener('gamepaddisconnected', (e)=>{
+  padPrev.delete(e.gamepad.index);
+  if (joy.src === 'pad') { joy.dx = 0; joy.dy = 0; joy.src = null; }
+  toast(t('pad.disconnected'), 1.8);
+  // プレイ中に抜けたら一時停止しておく
+  if (state.started && !state.menuOpen) setMenuOpen(true);
+});
 
 // Resize
 function resize(){
   const w = window.innerWidth;
   const h = window.innerHeight;
+  renderer.setPixelRatio(gfxPixelRatio() * gfx.scale);
   renderer.setSize(w, h, false);
   camera.aspect = w / h;
   camera.updateProjectionMatrix();
@@ -1393,93 +2220,58 @@ const cam = {
   target: new THREE.Vector3(),
   pos: new THREE.Vector3(),
 };
+// screen-right on the ground (the camera never turns), for panning sounds
+const camRight = new THREE.Vector3(cam.offset.z, 0, -cam.offset.x).normalize();
 function updateCamera(dt){
   cam.target.set(player.position.x, 0.9, player.position.z);
   const desired = cam.target.clone().add(cam.offset);
   cam.pos.lerp(desired, 1 - Math.pow(1-cam.smooth, dt*60));
   camera.position.copy(cam.pos);
   camera.lookAt(cam.target);
+  // the sun's shadow box goes with the view (same direction, so the lighting doesn't change)
+  sun.target.position.copy(cam.target);
+  sun.position.copy(cam.target).add(SUN_OFFSET);
 }
 
-// Movement & collision
+// Views follow the sim
 const clock = new THREE.Clock();
-const playerSpeed = 4.9;
-// Bees should be about as fast as the player
-state.wasp.speed = 4.9;
-
-function resolveToIndoor(x,z,oldX,oldZ){
-  // keep inside 6.4 radius
-  const lim = 6.2;
-  if (Math.abs(x) > lim || Math.abs(z) > lim) return {x:oldX, z:oldZ};
-  return {x,z};
-}
-
-function resolveToLand(x,z,oldX,oldZ){
-  if (!onLand(x,z)) return {x:oldX, z:oldZ};
-  if (insideAnyPond(x,z)) return {x:oldX, z:oldZ};
-  // collision with house
-  const hd = Math.sqrt(dist2(x,z, 0,0));
-  if (hd < 2.35) return {x:oldX, z:oldZ};
-  // collision with trees/rocks (not NPC)
-  for (const o of interactables) {
-    if (o.type === 'npc' || o.type === 'house' || o.type === 'valentine') continue; // ★追加
-    const d = Math.sqrt(dist2(x,z, o.x,o.z));
-    if (d < (o.r + 0.70)) return {x:oldX, z:oldZ};
-}
-  return {x,z};
-}
 
+const swayEuler = new THREE.Euler();
 function updateTreeSway(dt){
-  for (const o of interactables) {
-    if (o.type !== 'tree') continue;
+  for (const o of swayingTrees) {
     if (o.sway > 0) {
       o.sway = Math.max(0, o.sway - dt);
-      const u = o.obj.userData;
-      if (u && u.canopy) {
-        const t = (0.75 - o.sway);
-        const amp = 0.22 * (o.sway / 0.75);
-        u.canopy.rotation.z = Math.sin(t * 18.0) * amp;
-        u.canopy.rotation.x = Math.cos(t * 15.0) * amp * 0.5;
-      }
+      const t = (0.75 - o.sway);
+      const amp = 0.22 * (o.sway / 0.75);
+      o.rz = Math.sin(t * 18.0) * amp;
+      o.rx = Math.cos(t * 15.0) * amp * 0.5;
     } else {
-      const u = o.obj.userData;
-      if (u && u.canopy) {
-        u.canopy.rotation.z *= 0.85;
-        u.canopy.rotation.x *= 0.85;
+      o.rz *= 0.85;
+      o.rx *= 0.85;
+      if (Math.abs(o.rz) < 1e-3 && Math.abs(o.rx) < 1e-3) {
+        o.rx = o.rz = 0;
+        swayingTrees.delete(o);
       }
     }
+    treeProp.setPart('canopy', o.index, true, swayEuler.set(o.rx, 0, o.rz));
   }
 }
 
-function updatePlayer(dt){
-  if (!state.started) return;
-  let vx = joy.dx;
-  let vz = joy.dy;
-  const len = Math.hypot(vx, vz);
-  if (len > 1) { vx/=len; vz/=len; }
-
-  if (len > 0.06) player.rotation.y = Math.atan2(vx, vz);
-
-  const dx = vx * playerSpeed * dt;
-  const dz = vz * playerSpeed * dt;
-
+function syncPlayer(){
+  const pl = sim.state.player;
+  player.position.set(pl.x, 0, pl.z);
+  player.rotation.y = pl.ry;
+}
+function updatePlayerView(dt){
   const oldX = player.position.x;
   const oldZ = player.position.z;
-
-  const nx = oldX + dx;
-  const nz = oldZ + dz;
-
-  const col = (state.stage==='indoor')
-    ? resolveToIndoor(nx,nz,oldX,oldZ)
-    : resolveToLand(nx,nz,oldX,oldZ);
-
-  player.position.x = col.x;
-  player.position.z = col.z;
+  syncPlayer();
 
   // footprints (only outdoor and on snow)
   fpAcc += dt;
   const moved = Math.hypot(player.position.x - oldX, player.position.z - oldZ);
-  if (state.stage==='outdoor' && moved > 0.004 && fpAcc > 0.12) {
+  // (moved > 1 = door teleport, no footprint for that)
+  if (sim.state.stage==='outdoor' && moved > 0.004 && moved < 1 && fpAcc > 0.12) {
     const d2 = dist2(player.position.x, player.position.z, lastFpX, lastFpZ);
     if (d2 > 0.45*0.45) {
       const dir = player.rotation.y;
@@ -1491,84 +2283,92 @@ function updatePlayer(dt){
     }
     fpAcc = 0;
   }
-}
-
-function updatePickups(){
-  if (state.stage !== 'outdoor') return;
-  const px=player.position.x, pz=player.position.z;
-  for (let i=pickups.length-1;i>=0;i--) {
-    const p=pickups[i];
-    const d=Math.sqrt(dist2(px,pz,p.x,p.z));
-    if (d < 1.1) {
-      invAdd(p.kind, 1);
-      outdoorGroup.remove(p.obj);
-      pickups.splice(i,1);
-      const name = p.kind==='peach'?'桃':p.kind==='apple'?'リンゴ':p.kind==='orange'?'オレンジ':p.kind;
-      toast(`${name}を1こ手に入れた！`);
+  // footstep sounds: snow / sand / the indoor floor (on the ice only while pushing, not when gliding)
+  stepT += dt;
+  if (moved > 0.004 && moved < 1 && stepT > 0.30) {
+    stepT = 0;
+    const x = player.position.x, z = player.position.z;
+    const ice = sim.state.stage === 'outdoor' && insideAnyPond(x, z);
+    if (!ice || Math.hypot(joy.dx, joy.dy) > 0.2) {
+      audio.play(sim.state.stage === 'indoor' || ice ? 'stepFloor' : onSand(x, z) ? 'stepSand' : 'stepSnow', { vol: 0.8 });
     }
   }
 }
 
-function updateNPCs(dt){
-  if (state.stage !== 'outdoor') return;
-  const px=player.position.x, pz=player.position.z;
-  for (const o of interactables) {
-    if (o.type !== 'npc') continue;
-    if (o.freeze > 0) { o.freeze -= dt; continue; }
-    if (o.wait > 0) { o.wait -= dt; continue; }
-
-    const tx=o.target.x, tz=o.target.z;
-    const dx=tx-o.x, dz=tz-o.z;
-    const d=Math.hypot(dx,dz);
-    if (d < 0.35) {
-      o.target = pickWanderTarget(px,pz);
-      o.wait = randRange(0.4, 1.6);
-      continue;
-    }
-    let nx=dx/d, nz=dz/d;
-    const pd = Math.sqrt(dist2(o.x,o.z, px,pz));
-    if (pd < 2.0) {
-      nx += ((o.x-px)/Math.max(pd,0.001))*0.9;
-      nz += ((o.z-pz)/Math.max(pd,0.001))*0.9;
-    }
-    const vl=Math.hypot(nx,nz);
-    if (vl > 0.0001){ nx/=vl; nz/=vl; }
-
-    const step=o.speed*dt;
-    const x2=o.x + nx*step;
-    const z2=o.z + nz*step;
-    if (!onLand(x2,z2) || insideAnyPond(x2,z2)) {
-      o.target = pickWanderTarget(px,pz);
-      o.wait = randRange(0.3, 1.0);
-      continue;
-    }
-    // avoid house
-    if (Math.sqrt(dist2(x2,z2,0,0)) < 2.8) {
-      o.target = pickWanderTarget(px,pz);
-      o.wait = randRange(0.3, 1.0);
-      continue;
-    }
+// Background music: day phase outdoors, chase while a swarm hunts, indoor, the finale at the Valentine gate.
+// Nothing before #startBtn (browsers only allow audio after that gesture anyway).
+let finaleMusic = false;
+function pickMusic(){
+  if (!state.started || sim.state.over) return null;
+  if (finaleMusic) return 'finale';
+  if (sim.state.stage === 'indoor') return 'indoor';
+  const sw = sim.state.swarm;
+  if (sw.active && !sw.gaveUp) return 'chase';
+  if (QUEST.finale && dist2(player.position.x, player.position.z, GATE.x, GATE.z) < 8*8) return 'finale';
+  return dayPhase();
+}
 
-    o.x=x2; o.z=z2;
-    o.obj.position.x=x2;
-    o.obj.position.z=z2;
-    o.obj.rotation.y=Math.atan2(nx,nz);
+// Cats near the player meow now and then (each cat has its own pitch)
+const catPitch = (id) => 0.9 + ([...id].reduce((a, c) => a + c.charCodeAt(0), 0) % 6) * 0.05;
+let meowT = randRange(4, 9);
+function updateCatMeows(dt){
+  meowT -= dt;
+  if (meowT > 0) return;
+  meowT = randRange(6, 14);
+  if (sim.state.stage !== 'outdoor') return;
+  const near = sim.state.npcs.filter(o => dist2(o.x, o.z, player.position.x, player.position.z) < 12*12);
+  if (!near.length) return;
+  const o = near[Math.floor(Math.random() * near.length)];
+  audio.play('meow', { x: o.x, z: o.z, vol: 0.55, pitch: catPitch(o.id) });
+}
+
+function syncNPCs(){
+  for (const o of sim.state.npcs) {
+    const obj = npcViews.get(o.id);
+    if (!obj) continue;
+    obj.position.x = o.x;
+    obj.position.z = o.z;
+    obj.rotation.y = o.ry;
   }
 }
 
-// Day/Night
-function timePhase(){ const now = new Date(); return now.getHours() + now.getMinutes()/60; }
+// Day/Night (hour from the sim's game clock; "real" day length follows the device clock)
+function timePhase(){ const now = new Date(); return now.getHours() + now.getMinutes()/60 + now.getSeconds()/3600; }
+// 'day' | 'eve' | 'night' | 'dawn' for an hour of the day (outdoor music)
+function dayPhase(t = sim.state.clock){
+  if (t >= 17 && t < 19) return 'eve';
+  if (t >= 19 || t < 5) return 'night';
+  if (t >= 5 && t < 7) return 'dawn';
+  return 'day';
+}
+const PHASE_LIGHT = {
+  day:   { amb:0.90, sunI:0.90, sunColor:new THREE.Color(0xffffff), fog:1.00 },
+  eve:   { amb:0.78, sunI:0.82, sunColor:new THREE.Color(0xfff1e1), fog:0.90 },
+  night: { amb:0.58, sunI:0.55, sunColor:new THREE.Color(0xcad0ff), fog:0.75 },
+  dawn:  { amb:0.84, sunI:0.86, sunColor:new THREE.Color(0xf2fff2), fog:0.85 },
+};
+// [hour, phase] keyframes, blended in between (wraps around midnight)
+const DAY_KEYS = [[0, 'night'], [4.5, 'night'], [6, 'dawn'], [7.5, 'day'], [16.5, 'day'], [17.75, 'eve'], [18.75, 'eve'], [19.75, 'night']];
 function updateDayNight(){
-  const t = timePhase();
-  let sky = SKY.day, amb=0.90, sunI=0.90, sunColor=0xffffff;
-  if (t >= 17 && t < 19) { sky=SKY.eve; amb=0.78; sunI=0.82; sunColor=0xfff1e1; }
-  else if (t >= 19 || t < 5) { sky=SKY.night; amb=0.58; sunI=0.55; sunColor=0xcad0ff; }
-  else if (t >= 5 && t < 7) { sky=SKY.dawn; amb=0.84; sunI=0.86; sunColor=0xf2fff2; }
-  scene.background = sky;
-  scene.fog.color.copy(sky);
-  ambient.intensity = amb;
-  sun.intensity = sunI;
-  sun.color.setHex(sunColor);
+  if (DAY_LENGTHS[sim.dayLength] === 0) sim.setClock(timePhase());
+  const h = sim.state.clock;
+  let i = DAY_KEYS.length - 1;
+  while (i > 0 && DAY_KEYS[i][0] > h) i--;
+  const [h0, p0] = DAY_KEYS[i];
+  const [h1, p1] = DAY_KEYS[(i + 1) % DAY_KEYS.length];
+  const span = ((h1 - h0) + 24) % 24 || 24;
+  const k = ((h - h0) + 24) % 24 / span;
+  const a = PHASE_LIGHT[p0], b = PHASE_LIGHT[p1];
+  skyNow.lerpColors(SKY[p0], SKY[p1], k);
+  scene.fog.color.copy(skyNow);
+  ambient.intensity = a.amb + (b.amb - a.amb) * k;
+  sun.intensity = a.sunI + (b.sunI - a.sunI) * k;
+  sun.color.lerpColors(a.sunColor, b.sunColor, k);
+  daylight.fog = a.fog + (b.fog - a.fog) * k;
+  if (!indoorGroup.visible) outdoorFog();
+  // sun arc: rises in +x at 6:00, overhead at noon, sets in -x at 18:00; at night the low light keeps going round (moon)
+  const ang = (h - 6) / 12 * Math.PI;
+  SUN_OFFSET.set(Math.cos(ang), 0.3 + 0.7 * Math.max(0, Math.sin(ang)), 0.35).setLength(SUN_DIST);
 }
 
 // Ocean shimmer
@@ -1581,28 +2381,132 @@ function updateOcean(){
 // Prevent page scroll
 document.addEventListener('touchmove', (e)=>e.preventDefault(), { passive:false });
 
+// ---- Debug overlay (F3 / ` / ?debug=1) ----
+// F4 / ?debug=cells also outlines the occupied spatial hash cells (obstacles white, agents orange, pickups green)
+const debugEl = document.getElementById('debug');
+const dbg = { on:false, t:0, fps:60, cells:null };
+function setDebug(v){
+  dbg.on = !!v;
+  debugEl?.classList.toggle('hidden', !dbg.on);
+  if (!dbg.on) setDebugCells(false);
+}
+function setDebugCells(v){
+  if (!v) {
+    if (dbg.cells) { outdoorGroup.remove(dbg.cells); dbg.cells.geometry.dispose(); dbg.cells.material.dispose(); }
+    dbg.cells = null;
+    return;
+  }
+  if (!dbg.on) setDebug(true);
+  if (!dbg.cells) {
+    dbg.cells = new THREE.LineSegments(new THREE.BufferGeometry(), new THREE.LineBasicMaterial({ vertexColors:true, depthTest:false, transparent:true, opacity:0.8 }));
+    dbg.cells.renderOrder = 10;
+    outdoorGroup.add(dbg.cells);
+  }
+  updateDebugCells();
+}
+function updateDebugCells(){
+  const pos = [], col = [];
+  const outline = (hash, y, r, g, b) => {
+    for (const c of hash.occupied()) {
+      const x0 = c.x, z0 = c.z, x1 = c.x + c.size, z1 = c.z + c.size;
+      pos.push(x0,y,z0, x1,y,z0, x1,y,z0, x1,y,z1, x1,y,z1, x0,y,z1, x0,y,z1, x0,y,z0);
+      for (let i=0; i<8; i++) col.push(r, g, b);
+    }
+  };
+  outline(sim.spatial.solids, 0.06, 1, 1, 1);
+  outline(sim.spatial.loot, 0.08, 0.4, 1, 0.5);
+  outline(sim.spatial.agents, 0.10, 1, 0.6, 0.2);
+  const geo = dbg.cells.geometry;
+  geo.setAttribute('position', new THREE.Float32BufferAttribute(pos, 3));
+  geo.setAttribute('color', new THREE.Float32BufferAttribute(col, 3));
+  geo.computeBoundingSphere();
+}
+const fmtClock = (h) => `${String(Math.floor(h)).padStart(2, '0')}:${String(Math.floor(h % 1 * 60)).padStart(2, '0')}`;
+function updateDebug(rawDt){
+  if (!dbg.on || !debugEl) return;
+  if (rawDt > 0) dbg.fps += (1/rawDt - dbg.fps) * 0.05;
+  dbg.t -= rawDt;
+  if (dbg.t > 0) return;
+  dbg.t = 0.25;
+  if (dbg.cells) updateDebugCells();
+  const p = player.position;
+  const sp = sim.spatial;
+  debugEl.textContent = [
+    `seed  ${sim.state.seed}`,
+    `slot  ${slots.current}`,
+    `fps   ${dbg.fps.toFixed(0)}`,
+    `stage ${sim.state.stage}  pos ${p.x.toFixed(1)}, ${p.z.toFixed(1)}`,
+    `quest ${sim.state.quest.step}  bees ${sim.state.swarm.bees.length || '-'}${sim.state.swarm.gaveUp ? ' (home)' : ''}  ${sim.difficulty}`,
+    `clock ${fmtClock(sim.state.clock)}  ${sim.dayLength}  ${dayPhase()}`,
+    `sky   ${sim.state.weather.kind} ${sim.state.weather.left.toFixed(0)}s  snow ${sim.state.weather.depth.toFixed(2)}`,
+    `gfx   ${gfx.id}  px ${renderer.getPixelRatio().toFixed(2)}${sun.castShadow ? '  shadows' : ''}`,
+    `hash  solids ${sp.solids.size}  things ${sp.things.size}  agents ${sp.agents.size}  loot ${sp.loot.size}`,
+  ].join('\n');
+}
+setDebug(urlParams.get('debug') === '1');
+if (urlParams.get('weather')) sim.setWeather(urlParams.get('weather')); // ?weather=blizzard to try it out
+if (urlParams.get('debug') === 'cells') setDebugCells(true);
+
+// Save on tab switch / close as well as on the timer in loop()
+let autosaveT = 0;
+window.addEventListener('pagehide', ()=>{ if (state.started) flushSave(); });
+document.addEventListener('visibilitychange', ()=>{
+  if (document.visibilityState === 'hidden' && state.started) flushSave();
+  audio.suspend(document.visibilityState === 'hidden');
+});
+
 // Main loop
 function loop(){
-  const dt = Math.min(clock.getDelta(), 0.033);
-
-  updateTreeSway(dt);
-  updatePlayer(dt);
-  updateNPCs(dt);
-  updatePickups();
-  updateParticles(dt);
-  updateFootprints(dt);
-
-  // bees only outdoors
-  if (state.stage === 'outdoor') updateWasp(dt);
+  const rawDt = clock.getDelta();
+  const dt = Math.min(rawDt, 0.033);
+
+  pollGamepads();
+
+  // 会話中もメニュー同様にワールドを止める
+  if (!state.menuOpen) updateDialog(dt);
+  if (!state.menuOpen && !state.panel && !dlg.open) {
+    // スタート前は動かさない（猫はうろうろ）
+    const move = state.started;
+    sim.step(dt, { mx: move ? joy.dx : 0, mz: move ? joy.dy : 0, action: move && actionQueued });
+    actionQueued = false;
+
+    updateTreeSway(dt);
+    updatePlayerView(dt);
+    syncNPCs();
+    syncPickups();
+    updateParticles(dt);
+    updateFootprints(dt);
+    updateBeeViews(dt);
+    updateCritters();
+    if (state.started) updateCatMeows(dt);
+
+    // position autosave
+    if (state.started) {
+      autosaveT += dt;
+      if (autosaveT > 5) { autosaveT = 0; flushSave(); }
+    }
+  }
 
   if (toastTimer > 0) {
     toastTimer -= dt;
     if (toastTimer <= 0) toastEl.classList.remove('show');
   }
 
+  handleSimEvents();
+
+  // bees buzz while the world runs (silent in menus / dialogue)
+  const paused = state.menuOpen || !!state.panel || dlg.open;
+  audio.updateBuzz(paused || sim.state.stage !== 'outdoor' ? [] : sim.state.swarm.bees);
+  audio.setMusic(pickMusic());
+  audio.updateMusic();
+
   updateDayNight();
+  updateWeather(paused ? 0 : dt);
   updateOcean();
   updateCamera(dt);
+  audio.setListener(player.position.x, player.position.z, camRight.x, camRight.z);
+  updateDebug(rawDt);
+  updateAdaptiveRes(rawDt);
 
   renderer.render(scene, camera);
   requestAnimationFrame(loop);
@@ -1611,11 +2515,33 @@ setStarted(false);
 loop();
 
 startBtnEl?.addEventListener('click', () => {
-  // 開始時は家の前に必ず置く（後述のスポーン固定と二重で安全）
-  player.position.set(0, 0, 3.6);
-  player.rotation.y = Math.PI;
+  // seed かモードを変えたら新しい島を作り直す
+  const seed = parseSeed(seedInputEl?.value) ?? sim.state.seed;
+  const mode = GAME_MODES[modeSelectEl?.value] ? modeSelectEl.value : MODE_ID;
+  if (seed !== sim.state.seed || mode !== MODE_ID) {
+    if (worldHasProgress() && !confirm(t('seed.confirmNew', { seed, mode: t(`mode.${mode}`) }))) return;
+    startNewIsland(seed, mode);
+    return;
+  }
+
+  // 新規ゲームは家の前に置く（セーブがあればその位置から再開）
+  if (!save.player) {
+    sim.setPlayer(HOUSE_FRONT.x, HOUSE_FRONT.z, HOUSE_FRONT.ry);
+    syncPlayer();
+  }
 
   setStarted(true);
 });
 
-toast('harasho danamo', 3.2)
+if (sessionStorage.getItem(AUTOSTART_KEY)) {
+  sessionStorage.removeItem(AUTOSTART_KEY);
+  startBtnEl?.click();
+}
+
+if (urlSeed !== null && urlSeed !== sim.state.seed) {
+  toast(t('seed.urlMismatch', { seed: urlSeed }), 4.0);
+} else if (urlMode && urlMode !== MODE_ID) {
+  toast(t('mode.urlMismatch', { mode: t(`mode.${urlMode}`) }), 4.0);
+} else {
+  toast(t(MODE.text.welcome), 3.2)
+}
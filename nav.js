@@ -0,0 +1,171 @@
+// Grid navigation shared by the sim agents (no three.js, no DOM).
+// createNavGrid() samples blocked(x, z) once per cell center, then answers path / line-of-sight queries:
+//   const nav = createNavGrid({ minX:-42, minZ:-32, maxX:42, maxZ:32, cell:0.8, blocked });
+//   nav.findPath(ax, az, bx, bz) -> [{x,z}, ...] waypoints after the start (smoothed) or null
+// node nav.test.js runs the grid / A* checks.
+(function(root, factory){
+  const api = factory();
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else root.IslandNav = api;
+})(this, function(){
+
+// 8 neighbours: dx, dz, cost
+const DIRS = [[1,0,1], [-1,0,1], [0,1,1], [0,-1,1], [1,1,Math.SQRT2], [1,-1,Math.SQRT2], [-1,1,Math.SQRT2], [-1,-1,Math.SQRT2]];
+
+function createNavGrid({ minX, minZ, maxX, maxZ, cell = 1.0, blocked }){
+  const cols = Math.ceil((maxX - minX) / cell);
+  const rows = Math.ceil((maxZ - minZ) / cell);
+  const size = cols * rows;
+  const open = new Uint8Array(size);
+  for (let iz=0; iz<rows; iz++) {
+    for (let ix=0; ix<cols; ix++) {
+      open[iz*cols + ix] = blocked(minX + (ix+0.5)*cell, minZ + (iz+0.5)*cell) ? 0 : 1;
+    }
+  }
+
+  const ixOf = (x) => Math.floor((x - minX) / cell);
+  const izOf = (z) => Math.floor((z - minZ) / cell);
+  const isOpen = (ix, iz) => ix >= 0 && iz >= 0 && ix < cols && iz < rows && open[iz*cols + ix] === 1;
+  const openAt = (x, z) => isOpen(ixOf(x), izOf(z));
+  const center = (i) => ({ x: minX + ((i % cols) + 0.5)*cell, z: minZ + (Math.floor(i / cols) + 0.5)*cell });
+
+  // closest open cell around (x, z) (ring search), -1 if none within maxRing cells
+  function nearestOpen(x, z, maxRing = 5){
+    const cx = ixOf(x), cz = izOf(z);
+    if (isOpen(cx, cz)) return cz*cols + cx;
+    for (let r=1; r<=maxRing; r++) {
+      let best = -1, bestD = Infinity;
+      for (let dz=-r; dz<=r; dz++) {
+        for (let dx=-r; dx<=r; dx++) {
+          if (Math.max(Math.abs(dx), Math.abs(dz)) !== r || !isOpen(cx+dx, cz+dz)) continue;
+          const i = (cz+dz)*cols + cx+dx;
+          const c = center(i);
+          const d = (c.x-x)*(c.x-x) + (c.z-z)*(c.z-z);
+          if (d < bestD) { bestD = d; best = i; }
+        }
+      }
+      if (best >= 0) return best;
+    }
+    return -1;
+  }
+
+  // every sample along the segment lies on an open cell
+  function lineOfSight(ax, az, bx, bz){
+    const n = Math.ceil(Math.hypot(bx-ax, bz-az) / (cell*0.5));
+    for (let i=0; i<=n; i++) {
+      const k = n ? i/n : 0;
+      if (!openAt(ax + (bx-ax)*k, az + (bz-az)*k)) return false;
+    }
+    return true;
+  }
+
+  // A* scratch, reused between searches (stamp instead of clearing)
+  const g = new Float32Array(size);
+  const from = new Int32Array(size);
+  const stamp = new Uint32Array(size);
+  const closed = new Uint32Array(size);
+  let search = 0;
+  const heapF = [], heapI = [];
+  function heapPush(f, i){
+    let k = heapF.length;
+    heapF.push(f); heapI.push(i);
+    while (k > 0) {
+      const p = (k - 1) >> 1;
+      if (heapF[p] <= f) break;
+      heapF[k] = heapF[p]; heapI[k] = heapI[p];
+      k = p;
+    }
+    heapF[k] = f; heapI[k] = i;
+  }
+  function heapPop(){
+    const top = heapI[0];
+    const f = heapF.pop(), i = heapI.pop();
+    const n = heapF.length;
+    if (n) {
+      let k = 0;
+      for (;;) {
+        let c = 2*k + 1;
+        if (c >= n) break;
+        if (c + 1 < n && heapF[c+1] < heapF[c]) c++;
+        if (heapF[c] >= f) break;
+        heapF[k] = heapF[c]; heapI[k] = heapI[c];
+        k = c;
+      }
+      heapF[k] = f; heapI[k] = i;
+    }
+    return top;
+  }
+
+  // drop waypoints that can be skipped in a straight line (no zig-zag along the grid)
+  function smooth(pts){
+    const out = [pts[0]];
+    let i = 0;
+    while (i < pts.length - 1) {
+      let j = pts.length - 1;
+      while (j > i + 1 && !lineOfSight(pts[i].x, pts[i].z, pts[j].x, pts[j].z)) j--;
+      out.push(pts[j]);
+      i = j;
+    }
+    return out;
+  }
+
+  function findPath(ax, az, bx, bz, maxExpand = 6000){
+    const start = nearestOpen(ax, az);
+    const goal = nearestOpen(bx, bz);
+    if (start < 0 || goal < 0) return null;
+    search++;
+    heapF.length = 0; heapI.length = 0;
+    const gx = goal % cols, gz = Math.floor(goal / cols);
+    // octile distance
+    const h = (i) => {
+      const dx = Math.abs(i % cols - gx), dz = Math.abs(Math.floor(i / cols) - gz);
+      return Math.max(dx, dz) + (Math.SQRT2 - 1) * Math.min(dx, dz);
+    };
+    g[start] = 0; from[start] = -1; stamp[start] = search;
+    heapPush(h(start), start);
+    let found = false;
+    for (let n=0; heapF.length && n<maxExpand; n++) {
+      const cur = heapPop();
+      if (closed[cur] === search) continue;
+      closed[cur] = search;
+      if (cur === goal) { found = true; break; }
+      const cx = cur % cols, cz = Math.floor(cur / cols);
+      for (const [dx, dz, cost] of DIRS) {
+        const nx = cx + dx, nz = cz + dz;
+        if (!isOpen(nx, nz)) continue;
+        // no corner cutting past a blocked cell
+        if (dx && dz && (!isOpen(cx + dx, cz) || !isOpen(cx, cz + dz))) continue;
+        const ni = nz*cols + nx;
+        if (closed[ni] === search) continue;
+        const ng = g[cur] + cost;
+        if (stamp[ni] === search && ng >= g[ni]) continue;
+        stamp[ni] = search; g[ni] = ng; from[ni] = cur;
+        heapPush(ng + h(ni), ni);
+      }
+    }
+    if (!found) return null;
+
+    const cells = [];
+    for (let i=goal; i>=0; i=from[i]) cells.push(center(i));
+    cells.reverse();
+    cells[0] = { x: ax, z: az };
+    if (openAt(bx, bz)) cells.push({ x: bx, z: bz });
+    return smooth(cells).slice(1);
+  }
+
+  return { cols, rows, cell, minX, minZ, isOpen, openAt, nearestOpen, lineOfSight, findPath, center,
+           cellOf: (x, z) => ({ ix: ixOf(x), iz: izOf(z) }) };
+}
+
+// Change the velocity (agent.vx/vz) toward the wanted velocity (wx, wz) by at most accel*dt per step
+function steerVelocity(agent, wx, wz, accel, dt){
+  let ax = wx - agent.vx, az = wz - agent.vz;
+  const a = Math.hypot(ax, az);
+  const max = accel * dt;
+  if (a > max) { ax *= max/a; az *= max/a; }
+  agent.vx += ax;
+  agent.vz += az;
+}
+
+return { createNavGrid, steerVelocity };
+});
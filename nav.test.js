@@ -0,0 +1,89 @@
+// Headless checks for nav.js (no browser, no deps):  node nav.test.js
+const assert = require('node:assert/strict');
+const { createNavGrid, steerVelocity } = require('./nav.js');
+
+let failed = 0;
+function test(name, fn){
+  try{ fn(); console.log(`ok   ${name}`); }
+  catch(e){ failed++; console.log(`FAIL ${name}\n     ${e.message}`); }
+}
+// 20x20 cells of 1.0 over [0,20); blocked(x, z) decides per cell center
+const grid = (blocked) => createNavGrid({ minX: 0, minZ: 0, maxX: 20, maxZ: 20, cell: 1, blocked });
+// wall at x in [9,11) from z=0 up to z=15 (the gap is above it)
+const wall = (x, z) => x > 9 && x < 11 && z < 15;
+
+// every leg of the path (from the start) has a clear line of sight
+function assertWalkable(nav, ax, az, path){
+  let x = ax, z = az;
+  for (const p of path) {
+    assert.ok(nav.lineOfSight(x, z, p.x, p.z), `blocked leg (${x},${z}) -> (${p.x},${p.z})`);
+    x = p.x; z = p.z;
+  }
+}
+
+// ---- Grid ----
+test('cells sample blocked() at their centers', () => {
+  const nav = grid(wall);
+  assert.equal(nav.cols, 20);
+  assert.equal(nav.rows, 20);
+  assert.ok(!nav.openAt(10.2, 3));
+  assert.ok(nav.openAt(10.2, 17));
+  assert.ok(!nav.isOpen(-1, 0) && !nav.isOpen(0, 20), 'outside the grid counts as blocked');
+  assert.deepEqual(nav.cellOf(3.7, 12.1), { ix: 3, iz: 12 });
+  assert.deepEqual(nav.center(12*20 + 3), { x: 3.5, z: 12.5 });
+});
+test('nearestOpen snaps a blocked point to the closest open cell', () => {
+  const nav = grid(wall);
+  assert.equal(nav.nearestOpen(4.5, 4.5), 4*20 + 4);
+  const i = nav.nearestOpen(9.8, 5.5);
+  assert.deepEqual(nav.center(i), { x: 8.5, z: 5.5 });
+  assert.equal(grid(() => true).nearestOpen(5, 5), -1);
+});
+test('lineOfSight stops at blocked cells', () => {
+  const nav = grid(wall);
+  assert.ok(nav.lineOfSight(2, 2, 8, 14));
+  assert.ok(!nav.lineOfSight(2, 5, 18, 5));
+  assert.ok(nav.lineOfSight(2, 17, 18, 17));
+});
+
+// ---- A* ----
+test('open field: the path is one straight leg (smoothed)', () => {
+  const nav = grid(() => false);
+  assert.deepEqual(nav.findPath(1.5, 1.5, 17.5, 12.5), [{ x: 17.5, z: 12.5 }]);
+});
+test('paths go around blocked cells', () => {
+  const nav = grid(wall);
+  const path = nav.findPath(3.5, 5.5, 16.5, 5.5);
+  assert.ok(path && path.length >= 2, 'expected a detour');
+  assert.deepEqual(path[path.length - 1], { x: 16.5, z: 5.5 });
+  assert.ok(path.some(p => p.z >= 15), 'never went through the gap');
+  assertWalkable(nav, 3.5, 5.5, path);
+});
+test('smoothing drops the grid zig-zag', () => {
+  const nav = grid(wall);
+  const path = nav.findPath(3.5, 5.5, 16.5, 5.5);
+  // around one wall end: in, around the corner, out
+  assert.ok(path.length <= 4, `kept ${path.length} waypoints`);
+});
+test('an unreachable goal gives null', () => {
+  // one-cell ring of blocked cells around (15, 5), hollow inside
+  const nav = grid((x, z) => x > 12 && x < 18 && z > 2 && z < 8 && !(x > 13 && x < 17 && z > 3 && z < 7));
+  assert.ok(nav.openAt(15, 5));
+  assert.equal(nav.findPath(3, 5, 15, 5), null);
+  assert.equal(grid(() => true).findPath(3, 5, 15, 5), null);
+});
+
+// ---- Steering ----
+test('steerVelocity turns the velocity by at most accel*dt', () => {
+  const a = { x: 0, z: 0, vx: 0, vz: 0 };
+  steerVelocity(a, 4, 0, 20, 0.1);
+  assert.deepEqual([a.vx, a.vz], [2, 0]);
+  steerVelocity(a, 4, 0, 20, 0.1);
+  assert.deepEqual([a.vx, a.vz], [4, 0]);
+  steerVelocity(a, 4, 0, 20, 0.1);
+  assert.deepEqual([a.vx, a.vz], [4, 0], 'went past the wanted velocity');
+  steerVelocity(a, 0, 4, 20, 0.1);
+  assert.ok(Math.abs(Math.hypot(a.vx - 4, a.vz) - 2) < 1e-9);
+});
+
+if (failed) { console.log(`\n${failed} failed`); process.exitCode = 1; }
@@ -0,0 +1,125 @@
+// Quest definitions (data only, interpreted by the quest engine in sim.js; GAME_MODES there picks one per mode).
+// Keep this JSON-compatible (quoted keys, no comments inside) so a chain can live in a .json file as-is.
+//
+// cast[]     : NPC cats spawned for this quest (role is what steps/hints/failures/dialogue refer to)
+// steps[]    : done in order; quest.step = how many are completed.
+//              requires = items consumed, reward = items given,
+//              outOfOrder "fail" = handing the items over at the wrong step is game over, "wait" = not offered yet
+// failures[] : holding these items opens dialogue node `node`; its "fail" choice is game over with `message`
+// hints[]    : fallback dialogue node; belowStep = only while quest.step < belowStep
+// dialogue   : per role, node id -> { pages:[...], choices:[{ text, do?, next? }] }
+//              the engine enters "offer" (step can be handed over), "need" (step items missing),
+//              a failure/hint node, or "idle". do: "give" completes the step, "fail" triggers the failure.
+// finale     : the gate at the end (optional)
+// All player-facing text (name, pages, text, message, orderFail, finale strings) is an i18n key from i18n.js;
+// a string with no entry there is shown as-is.
+const QUEST_DEFS = {
+  "valentino": {
+    "id": "valentino",
+    "orderFail": "vt.orderFail",
+    "cast": [
+      { "role": "uplifted", "name": "vt.name.uplifted", "x": -3.0, "z": 2.0,
+        "palette": { "fur": "#ffd2e1", "ear": "#ffd2e1", "nose": "#ff7aa2", "stripe": "#ffffff" } },
+      { "role": "wavering", "name": "vt.name.wavering", "x": 9.0, "z": -10.0,
+        "palette": { "fur": "#ffe8b6", "ear": "#ffe8b6", "nose": "#ffa0a0", "stripe": "#ffffff" } },
+      { "role": "distant", "name": "vt.name.distant", "x": -15.0, "z": 10.0,
+        "palette": { "fur": "#ffffff", "ear": "#ffffff", "nose": "#ffa0a0", "stripe": "#ffffff" } },
+      { "role": "catman", "name": "vt.name.catman", "x": 18.0, "z": 9.0,
+        "palette": { "fur": "#1d1d1d", "ear": "#1d1d1d", "nose": "#ff7aa2", "stripe": "#ffffff" } }
+    ],
+    "steps": [
+      { "id": "brahma", "npc": "uplifted",
+        "requires": { "apple": 3 }, "reward": { "tarot_brahma": 1 }, "outOfOrder": "fail" },
+      { "id": "vishnu", "npc": "wavering",
+        "requires": { "orange": 3 }, "reward": { "tarot_vishnu": 1 }, "outOfOrder": "fail" },
+      { "id": "shiva", "npc": "distant",
+        "requires": { "peach": 3 }, "reward": { "tarot_shiva": 1 }, "outOfOrder": "fail" },
+      { "id": "catSoul", "npc": "catman",
+        "requires": { "tarot_brahma": 1, "tarot_vishnu": 1, "tarot_shiva": 1 }, "reward": { "cat_soul_card": 1 }, "outOfOrder": "wait" }
+    ],
+    "failures": [
+      { "npc": "catman", "holding": { "dragonfruit": 3 }, "node": "dragonfruit",
+        "message": "vt.dragonFail" }
+    ],
+    "hints": [
+      { "npc": "catman", "belowStep": 3, "node": "early" },
+      { "npc": "catman", "node": "late" }
+    ],
+    "dialogue": {
+      "uplifted": {
+        "need": { "pages": ["vt.uplifted.need1", "vt.uplifted.need2"] },
+        "offer": { "pages": ["vt.uplifted.offer"], "choices": [
+          { "text": "vt.uplifted.give", "do": "give", "next": "given" },
+          { "text": "dlg.notNow", "next": "later" } ] },
+        "given": { "pages": ["vt.uplifted.given"] },
+        "later": { "pages": ["vt.uplifted.later"] }
+      },
+      "wavering": {
+        "need": { "pages": ["vt.wavering.need1", "vt.wavering.need2"] },
+        "offer": { "pages": ["vt.wavering.offer"], "choices": [
+          { "text": "vt.wavering.give", "do": "give", "next": "given" },
+          { "text": "dlg.notNow", "next": "later" } ] },
+        "given": { "pages": ["vt.wavering.given"] },
+        "later": { "pages": ["vt.wavering.later"] }
+      },
+      "distant": {
+        "need": { "pages": ["vt.distant.need1", "vt.distant.need2"] },
+        "offer": { "pages": ["vt.distant.offer"], "choices": [
+          { "text": "vt.distant.give", "do": "give", "next": "given" },
+          { "text": "dlg.notNow", "next": "later" } ] },
+        "given": { "pages": ["vt.distant.given"] },
+        "later": { "pages": ["vt.distant.later"] }
+      },
+      "catman": {
+        "offer": { "pages": ["vt.catman.offer"], "choices": [
+          { "text": "vt.catman.give", "do": "give", "next": "given" },
+          { "text": "vt.catman.notYet", "next": "later" } ] },
+        "given": { "pages": ["vt.catman.given"] },
+        "dragonfruit": { "pages": ["vt.catman.dragonfruit"], "choices": [
+          { "text": "vt.catman.giveDragon", "do": "fail" },
+          { "text": "vt.catman.keepDragon", "next": "later" } ] },
+        "early": { "pages": ["vt.catman.early"] },
+        "late": { "pages": ["vt.catman.late"] },
+        "later": { "pages": ["vt.catman.later"] }
+      }
+    },
+    "finale": {
+      "requires": { "cat_soul_card": 1 },
+      "locked": "vt.finale.locked",
+      "toast": "vt.finale.toast",
+      "bigMessage": "vt.finale.big",
+      "url": "https://www.youtube.com/watch?v=trU-S53fK04&list=RDtrU-S53fK04&start_radio=1",
+      "delay": 5.0
+    }
+  },
+  "cozy": {
+    "id": "cozy",
+    "orderFail": "go.default",
+    "cast": [
+      { "role": "tama", "name": "cozy.name.tama", "x": -3.0, "z": 2.0,
+        "palette": { "fur": "#ffd2e1", "ear": "#ffd2e1", "nose": "#ff7aa2", "stripe": "#ffffff" } },
+      { "role": "mike", "name": "cozy.name.mike", "x": 9.0, "z": -10.0,
+        "palette": { "fur": "#ffe8b6", "ear": "#ffe8b6", "nose": "#ffa0a0", "stripe": "#ffffff" } },
+      { "role": "shiro", "name": "cozy.name.shiro", "x": -15.0, "z": 10.0,
+        "palette": { "fur": "#ffffff", "ear": "#ffffff", "nose": "#ffa0a0", "stripe": "#ffffff" } },
+      { "role": "kuro", "name": "cozy.name.kuro", "x": 18.0, "z": 9.0,
+        "palette": { "fur": "#3b3b3b", "ear": "#3b3b3b", "nose": "#ff7aa2", "stripe": "#ffffff" } }
+    ],
+    "steps": [],
+    "hints": [
+      { "npc": "tama", "node": "hint" },
+      { "npc": "mike", "node": "hint" },
+      { "npc": "shiro", "node": "hint" },
+      { "npc": "kuro", "node": "hint" }
+    ],
+    "dialogue": {
+      "tama": { "hint": { "pages": ["cozy.cat.hint"] } },
+      "mike": { "hint": { "pages": ["cozy.cat.hint"] } },
+      "shiro": { "hint": { "pages": ["cozy.cat.hint"] } },
+      "kuro": { "hint": { "pages": ["cozy.cat.hint"] } }
+    }
+  }
+};
+
+// Node (sim.js / tests) can require() this file; in the browser QUEST_DEFS stays a plain global
+if (typeof module === 'object' && module.exports) module.exports = { QUEST_DEFS };
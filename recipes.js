@@ -0,0 +1,20 @@
+// Crafting recipes (data only, used by sim.js at the indoor table; shown in the crafting panel in this order).
+// Keep this JSON-compatible (quoted keys, no comments inside) like quests.js, so new recipes need no code.
+//
+// id    : recipe id
+// needs : items used up, makes: items made (the panel names a recipe after its first `makes` item, i18n item.<kind>)
+// icon  : inventory icon of the made item
+// modes : only offered in these GAME_MODES (optional, default all)
+const RECIPES = [
+  { "id": "apple_jam", "icon": "🍯", "needs": { "apple": 2 }, "makes": { "apple_jam": 1 } },
+  { "id": "peach_jam", "icon": "🫙", "needs": { "peach": 2 }, "makes": { "peach_jam": 1 } },
+  { "id": "smoothie", "icon": "🥤", "needs": { "apple": 1, "orange": 1, "peach": 1 }, "makes": { "smoothie": 1 } },
+  { "id": "dragon_smoothie", "icon": "🍹", "needs": { "dragonfruit": 1, "orange": 1 }, "makes": { "dragon_smoothie": 1 },
+    "modes": ["valentino"] },
+  { "id": "bee_repellent", "icon": "🧴", "needs": { "mint": 2, "orange": 1 }, "makes": { "bee_repellent": 1 } },
+  { "id": "gift_box", "icon": "🎁", "needs": { "ribbon": 1, "peach_jam": 1 }, "makes": { "gift_box": 1 } },
+  { "id": "gift_box_apple", "icon": "🎁", "needs": { "ribbon": 1, "apple_jam": 1 }, "makes": { "gift_box": 1 } }
+];
+
+// Node (sim.js / tests) can require() this file; in the browser RECIPES stays a plain global
+if (typeof module === 'object' && module.exports) module.exports = { RECIPES };
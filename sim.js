@@ -0,0 +1,1054 @@
+// Island simulation core (no three.js, no DOM).
+// main.js renders sim.state and reacts to sim events; Node can require() this file and drive step() directly:
+//   const { createSim } = require('./sim.js');
+//   const sim = createSim({ seed: 1, mode: 'valentino' });
+//   sim.step(1/60, { mx: 1, mz: 0, action: false });
+// node sim.test.js runs the headless checks (world seed, collision, bees, quest).
+// sim.state is plain JSON data (world, inv, quest, stage, player, npcs, pickups, swarm, clock, weather, over).
+// Things the player should see come out as events: { type:'toast', key, params, sec }, 'shake', 'nest',
+// 'pickup', 'snowCap', 'rockFlip', 'craft', 'journal', 'storage', 'sleep', 'stage', 'talk', 'inv', 'save', 'gameOver', 'finale' (drain them with sim.drainEvents()).
+(function(root, factory){
+  const defs = typeof QUEST_DEFS !== 'undefined' ? QUEST_DEFS : require('./quests.js').QUEST_DEFS;
+  const recipes = typeof RECIPES !== 'undefined' ? RECIPES : require('./recipes.js').RECIPES;
+  const nav = typeof IslandNav !== 'undefined' ? IslandNav : require('./nav.js');
+  const spatial = typeof IslandSpatial !== 'undefined' ? IslandSpatial : require('./spatial.js');
+  const api = factory(defs, recipes, nav, spatial);
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else root.IslandSim = api;
+})(this, function(QUEST_DEFS, RECIPES, { createNavGrid, steerVelocity }, { createSpatialHash }){
+
+const clamp = (v, a, b) => Math.max(a, Math.min(b, v));
+const dist2 = (ax, az, bx, bz) => { const dx=ax-bx, dz=az-bz; return dx*dx+dz*dz; };
+
+// Deterministic RNG for fixed world layout
+function mulberry32(seed){
+  let a = seed >>> 0;
+  return function(){
+    a |= 0; a = (a + 0x6D2B79F5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+// FNV-1a of a string (text seeds in main.js parseSeed, per-object seeds such as rock ids)
+function hashString(str){
+  let h = 2166136261;
+  for (let i=0; i<str.length; i++) h = Math.imul(h ^ str.charCodeAt(i), 16777619);
+  return h >>> 0;
+}
+function shuffle(arr, rnd=Math.random){
+  for (let i=arr.length-1;i>0;i--){
+    const j=(rnd()*(i+1))|0;
+    [arr[i],arr[j]]=[arr[j],arr[i]];
+  }
+  return arr;
+}
+
+// Game modes: one engine, different rule sets. Stored per slot; ?mode= / start screen pick it for a new island.
+// quest = QUEST_DEFS key, dfTrees = dragonfruit trees, gameOver "screen" (overlay) | "reset" (toast, then restart),
+// inv = [kind, icon] shown in the inventory bar, hint = top hint line, text = i18n keys of the mode's toasts (null = none)
+const GAME_MODES = {
+  valentino: {
+    quest: 'valentino', dfTrees: 4, gameOver: 'screen', title: 'title', hint: null,
+    inv: [['peach','🍑'], ['apple','🍎'], ['orange','🍊'], ['dragonfruit','🐉'], ['mint','🌿'], ['ribbon','🎀']],
+    rockLoot: [{ w:3 }, { w:3, item:['mint', 1] }, { w:2, item:['ribbon', 1] }, { w:3, hint:true }, { w:2, critter:true }],
+    text: { welcome:'welcome', beeNest:'bee.nest', stung:'go.stung', coconut:'go.coconut',
+            treeAgain:'tree.snow', treeSnow:'tree.snow', roomIdle:'room.empty' },
+  },
+  cozy: {
+    quest: 'cozy', dfTrees: 0, gameOver: 'reset', title: 'cozy.title', hint: 'cozy.hint',
+    inv: [['peach','🍑'], ['apple','🍎'], ['orange','🍊'], ['leaf_ticket','🎫'], ['mint','🌿'], ['ribbon','🎀']],
+    rockLoot: [{ w:3 }, { w:3, item:['mint', 1] }, { w:2, item:['ribbon', 1] }, { w:3, item:['leaf_ticket', 1] }, { w:3, critter:true }],
+    text: { welcome:'cozy.welcome', beeNest:'cozy.beeNest', stung:'cozy.stung', coconut:'cozy.coconut',
+            treeAgain:'cozy.treeAgain', treeSnow:null, roomIdle:'cozy.roomIdle' },
+  },
+};
+const DEFAULT_MODE = 'valentino';
+
+// Island
+const island = {
+  rx: 42,
+  rz: 32,
+  sandInner: 0.72,
+};
+function onLand(x,z){
+  const dx=x/island.rx, dz=z/island.rz;
+  return (dx*dx + dz*dz) <= 1.0;
+}
+function onSand(x,z){
+  const dx=x/island.rx, dz=z/island.rz;
+  const v=(dx*dx + dz*dz);
+  return v > island.sandInner && v <= 1.0;
+}
+
+const islandShape = { x:0, z:0, rx:island.rx, rz:island.rz };
+
+// Ponds (frozen)
+const ponds = [
+  { x: 14.0, z: 2.0, rx: 3.0, rz: 2.2 },
+  { x: -16.0, z: -7.0, rx: 2.6, rz: 1.8 },
+];
+function insideAnyPond(x, z){
+  for (const p of ponds) {
+    const dx = (x - p.x) / p.rx;
+    const dz = (z - p.z) / p.rz;
+    if ((dx*dx + dz*dz) < 1.0) return true;
+  }
+  return false;
+}
+
+// ---- Collision shapes ----
+const COLLIDE_EPS = 1e-3; // pushed bodies end up just clear of the edge
+// Closest point on the ellipse (cx, cz, rx, rz) to (px, pz), inside or outside
+// (iterates on the evolute, 3 rounds are plenty for these axes)
+function closestOnEllipse(px, pz, e){
+  const a = e.rx, b = e.rz;
+  const ax = Math.abs(px - e.x), az = Math.abs(pz - e.z);
+  let tx = Math.SQRT1_2, tz = Math.SQRT1_2;
+  for (let i=0; i<3; i++) {
+    const ex = (a*a - b*b) * tx*tx*tx / a;
+    const ez = (b*b - a*a) * tz*tz*tz / b;
+    const r = Math.hypot(a*tx - ex, b*tz - ez);
+    const q = Math.hypot(ax - ex, az - ez) || 1e-9;
+    tx = clamp(((ax - ex) * r / q + ex) / a, 0, 1);
+    tz = clamp(((az - ez) * r / q + ez) / b, 0, 1);
+    const t = Math.hypot(tx, tz);
+    tx /= t; tz /= t;
+  }
+  return { x: e.x + (px < e.x ? -a*tx : a*tx), z: e.z + (pz < e.z ? -b*tz : b*tz) };
+}
+// Push the circle (p, r) so it stays outside (solid = true) or inside (solid = false) the ellipse e.
+// p moves along the surface normal only, so the rest of a step slides along the edge. Returns true if moved.
+function pushEllipse(p, e, r, solid){
+  const lx = (p.x - e.x) / e.rx, lz = (p.z - e.z) / e.rz;
+  const inside = lx*lx + lz*lz < 1;
+  const c = closestOnEllipse(p.x, p.z, e);
+  let nx = p.x - c.x, nz = p.z - c.z;
+  const d = Math.hypot(nx, nz);
+  // outward normal (on the edge itself: from the gradient)
+  if (d > 1e-6) { nx /= d; nz /= d; if (inside) { nx = -nx; nz = -nz; } }
+  else { nx = lx / e.rx; nz = lz / e.rz; const n = Math.hypot(nx, nz) || 1; nx /= n; nz /= n; }
+  const out = inside ? -d : d; // signed distance to the edge, + = outside
+  const want = solid ? r + COLLIDE_EPS : -(r + COLLIDE_EPS);
+  if (solid ? out >= want : out <= want) return false;
+  p.x = c.x + nx * want;
+  p.z = c.z + nz * want;
+  return true;
+}
+// Push p out of the circle (x, z, r); dead center goes out the way it came (fx, fz)
+function pushCircle(p, x, z, r, fx, fz){
+  let dx = p.x - x, dz = p.z - z;
+  const d = Math.hypot(dx, dz);
+  if (d >= r) return false;
+  if (d > 1e-6) { dx /= d; dz /= d; }
+  else { dx = fx - x; dz = fz - z; const n = Math.hypot(dx, dz) || 1; dx /= n; dz /= n; }
+  p.x = x + dx * (r + COLLIDE_EPS);
+  p.z = z + dz * (r + COLLIDE_EPS);
+  return true;
+}
+
+// Fixed places
+const HOUSE = { x:0, z:0, r:2.0 };
+const HOUSE_SOLID = 1.65; // wall radius of the house (HOUSE.r is the interact reach)
+const CAT_HOUSE = { x:4.4, z:2.2 };
+const GATE = { x:0, z:-6.0, r:2.2 };
+const INDOOR_DOOR = { x:0, z:6.0, r:1.2 };
+const PLAYER_START = { x:0, z:10, ry:0 };
+const HOUSE_FRONT = { x:0, z:3.6, ry:Math.PI }; // 家を出たところ / 新規ゲーム
+const INDOOR_SPAWN = { x:0, z:4.0, ry:Math.PI };
+// Furniture in the room (main.js buildIndoor puts the meshes here). hx/hz = solid box half size,
+// r = round and flat (walk over it); use = what A does within INDOOR_REACH of its edge.
+const INDOOR_FURNITURE = [
+  { id:'bed',   x:-4.2, z:-2.5, hx:1.2,  hz:0.7,  use:'sleep' },
+  { id:'table', x:2.6,  z:-1.6, hx:0.7,  hz:0.45, use:'craft' },
+  { id:'chair', x:2.6,  z:-0.4, hx:0.33, hz:0.33, use:'journal' },
+  { id:'shelf', x:4.8,  z:2.2,  hx:0.6,  hz:0.2,  use:'storage' },
+  { id:'rug',   x:0,    z:0.6,  r:2.6,            use:'rug' },
+];
+const INDOOR_PAD = 0.45;   // player radius against furniture
+const INDOOR_REACH = 0.9;  // A works this close to a piece's edge (the rug only when nothing else is)
+
+const PLAYER_SPEED = 4.9;
+// Frozen ponds: the player may walk onto the ice and slides there (cats never go on it)
+const ICE_ACCEL = 5.0;  // how hard the stick pushes the slide (m/s²)
+const ICE_DRAG = 0.45;  // share of the slide speed lost per second
+const ICE_MAX = 1.15;   // top slide speed (x walk speed)
+const ICE_EXIT = 0.35;  // seconds a slide takes to blend into walking once off the ice
+const WASP_SPEED = 4.9; // Bees should be about as fast as the player (x difficulty speed)
+const WASP_ACCEL = 12.0;  // how hard a bee can turn / brake (no instant direction flips)
+const WASP_BODY = 0.25;   // bee collision radius against trees/rocks/house
+const NAV_PAD = 0.45;  // clearance the shared nav grid keeps from obstacles (bees and cats plan a bit wider than they move)
+const NAV_CELL = 0.8;
+const WASP_REPATH = 0.5;  // seconds between path refreshes while the player is out of sight
+const WASP_DELAY = 2.0;
+const WASP_STAGGER = 0.35; // seconds between bees leaving the nest
+const WASP_HOME = 1.8;     // close enough to the nest tree to count as back home
+const WASP_GAIN = 0.3;     // the closest chasing bee has to beat its best distance by this much to count as progress
+// Flocking inside a swarm: separation keeps bees apart, cohesion/alignment keep the cloud together
+const FLOCK = { radius: 1.6, sep: 1.4, coh: 0.30, ali: 0.35 };
+
+// Difficulty (device setting): swarm size [min, max], bee speed factor, give-up radius around the nest,
+// stuck = seconds the swarm keeps chasing without getting any closer (player out of reach) before it gives up too,
+// iceBees = the swarm follows the player out onto the frozen ponds (otherwise the ice is a refuge until `stuck` runs out)
+const DIFFICULTIES = {
+  easy:   { swarm: [3, 4], speed: 0.85, giveUp: 14, stuck: 5, iceBees: false },
+  normal: { swarm: [3, 5], speed: 1.00, giveUp: 18, stuck: 7, iceBees: false },
+  hard:   { swarm: [5, 7], speed: 1.10, giveUp: 24, stuck: 10, iceBees: true },
+};
+const DEFAULT_DIFFICULTY = 'normal';
+
+// Game clock: state.clock = hour of the day (0..24). Seconds of play per in-game day;
+// 0 = the clock doesn't run by itself (main.js sets it from the wall clock).
+const DAY_LENGTHS = { fast: 600, normal: 1200, slow: 2400, real: 0 };
+const DEFAULT_DAY_LENGTH = 'normal';
+const DAY_START = 8; // new games start in the morning
+
+// Weather spells (state.weather = { kind, left, depth }). snow = snow depth (0..1) gained per second
+// (negative: it settles/melts), caps = average seconds until a knocked-off tree cap grows back,
+// last = [min, max] seconds of the spell, next = odds of the spell that follows.
+const WEATHER = {
+  clear:    { snow: -0.004, caps: 0,  last: [120, 300], next: { clear: 0.35, light: 0.50, blizzard: 0.15 } },
+  light:    { snow: 0.004,  caps: 25, last: [90, 240],  next: { clear: 0.50, light: 0.20, blizzard: 0.30 } },
+  blizzard: { snow: 0.015,  caps: 6,  last: [45, 120],  next: { clear: 0.30, light: 0.70 } },
+};
+const SNOW_SLOW = 0.30; // speed lost in the deepest snow (player off the beach, bees)
+
+const CAT_BODY = 0.40;   // cat collision radius against trees/rocks/house
+const CAT_ACCEL = 6.0;
+const CAT_SPACE = 1.4;   // cats keep this far apart
+const CAT_POI_CHANCE = 0.45; // next walk goes to a point of interest instead of a random spot
+const NEST_CHANCE = 0.20;
+const REPELLENT = 'bee_repellent'; // carried: the next nest is smoked out instead of swarming (one used up)
+// Under the rocks (GAME_MODES.rockLoot): w = weight; item = [kind, count] dropped beside the rock,
+// hint = the next quest step scribbled on the stone, critter = something asleep there; nothing else = empty.
+// Rolled from the world seed and the rock id when it is flipped, so a seed always hides the same finds.
+const CRITTERS = ['frog', 'hedgehog'];
+const SPATIAL_CELL = 4.0;  // spatial hash cell for obstacles / interactables / pickups
+const AGENT_CELL = 2.0;    // and for the moving agents (neighbour radius is ~1.5)
+const SOLID_MAX_R = 1.08;  // widest tree/rock in the obstacle hash
+
+function randomLandPoint(margin=2.0, rnd=Math.random){
+  for (let i=0;i<220;i++) {
+    const x = (-island.rx + margin) + rnd() * ((island.rx - margin) - (-island.rx + margin));
+    const z = (-island.rz + margin) + rnd() * ((island.rz - margin) - (-island.rz + margin));
+    if (!onLand(x,z)) continue;
+    if (insideAnyPond(x,z)) continue;
+    if (Math.abs(x) < 4.5 && Math.abs(z) < 7.0) continue;
+    return {x,z};
+  }
+  return {x:0,z:0};
+}
+
+// Same seed => same island (trees, rocks, dragonfruit, fruit assignment)
+function generateWorld(seed, rules){
+  const rnd = mulberry32(seed);
+
+  const trees = [];
+  const rocks = [];
+
+  const TREE_COUNT = 44;
+  const ROCK_COUNT = 12;
+  const dfTrees = [];
+  const DF_TREE_COUNT = rules.dfTrees;
+  for (let i=0;i<DF_TREE_COUNT;i++){
+    const p = randomLandPoint(2.6, rnd);
+    dfTrees.push({ id:`df${i}`, x:p.x, z:p.z, fruit:'dragonfruit', shaken:false, hadWasp:false, coconut:false });
+  }
+  for (let i=0;i<TREE_COUNT;i++) {
+    const p = randomLandPoint(2.6, rnd);
+    trees.push({ id: `t${i}`, x:p.x, z:p.z, fruit:null, coconut:false, shaken:false, hadWasp:false });
+  }
+  for (let i=0;i<ROCK_COUNT;i++) {
+    const p = randomLandPoint(2.6, rnd);
+    rocks.push({ id:`r${i}`, x:p.x, z:p.z, flipped:false });
+  }
+
+  // Assign fruits: peach x4, apple x4, orange x4
+  const idx = shuffle([...Array(trees.length).keys()], rnd);
+  const give = (kind, n, start)=>{ for(let k=0;k<n;k++) trees[idx[start+k]].fruit = kind; };
+  give('peach', 4, 0);
+  give('apple', 4, 4);
+  give('orange',4, 8);
+
+  // Among fruitless trees: 5% coconuts (instant KO on shake)
+  for (const t of trees) {
+    if (t.fruit) continue;
+    if (rnd() < 0.05) t.coconut = true;
+  }
+
+  return { trees, rocks, dfTrees };
+}
+
+// opts: { seed, mode, difficulty, dayLength (DAY_LENGTHS id), save (migrated v6 save or null),
+//         rng (runtime randomness, default Math.random) }
+// seed / mode fall back to the save's, then to 0 / DEFAULT_MODE
+function createSim(opts = {}){
+  const rng = opts.rng || Math.random;
+  const randRange = (a,b) => a + rng()*(b-a);
+  const save = opts.save ? JSON.parse(JSON.stringify(opts.save)) : {};
+  const mode = GAME_MODES[opts.mode] ? opts.mode : GAME_MODES[save.mode] ? save.mode : DEFAULT_MODE;
+  const rules = GAME_MODES[mode];
+  const quest = QUEST_DEFS[rules.quest];
+  const seed = (opts.seed ?? save.seed ?? 0) >>> 0;
+  let difficulty = DIFFICULTIES[opts.difficulty] ? opts.difficulty : DEFAULT_DIFFICULTY;
+  let dayLength = DAY_LENGTHS[opts.dayLength] !== undefined ? opts.dayLength : DEFAULT_DAY_LENGTH;
+
+  const stage = save.stage === 'indoor' ? 'indoor' : 'outdoor';
+  const haveWorld = !!(save.world && save.world.trees && save.world.trees.length >= 12);
+  const state = {
+    seed,
+    mode,
+    time: 0,
+    clock: Number.isFinite(save.clock) ? ((save.clock % 24) + 24) % 24 : DAY_START,
+    stage,
+    world: haveWorld ? save.world : generateWorld(seed, rules),
+    inv: { ...(save.inv || {}) },
+    storage: { ...(save.storage || {}) }, // kept on the shelf at home (does not count for quests / recipes)
+    // number of quest.steps completed (0: まだ … steps.length: 全部済)
+    quest: { step: clamp(Number(save.quest?.step) || 0, 0, quest.steps.length) },
+    // vx/vz = current velocity (carries on while sliding on ice), slide = seconds left to blend it out off the ice
+    player: { ...(save.player || (stage === 'indoor' ? INDOOR_SPAWN : PLAYER_START)), vx: 0, vz: 0, slide: 0 },
+    npcs: [],
+    pickups: [],
+    // one swarm at a time; bee = { type:'bee', id, x, z, vx, vz, ry, phase:'wait'|'chase'|'home', launch, path, repath }
+    // (path = waypoints from the bee nav grid, empty while it sees its goal)
+    swarm: { active:false, treeId:null, originX:0, originZ:0, t:0, gaveUp:false, closest:null, stuck:0, bees:[] },
+    weather: WEATHER[save.weather?.kind]
+      ? { kind: save.weather.kind, left: Number(save.weather.left) || 0, depth: clamp(Number(save.weather.depth) || 0, 0, 1) }
+      : { kind: 'clear', left: randRange(...WEATHER.clear.last), depth: 0 },
+    over: null, // { key } once the run is lost
+  };
+  const events = [];
+  const emit = (type, data) => { events.push({ type, ...data }); };
+  const toast = (key, params, sec) => { if (key) emit('toast', { key, params: params || {}, sec }); };
+  let pickupSeq = 0;
+
+  // Spatial hashes (uniform grid) so lookups only touch nearby things:
+  //   solids: trees/rocks for collision, things: outdoor interactables for act() (npcs are the live npc objects),
+  //   agents: cats and bees for neighbour queries, loot: pickups on the ground
+  const solids = createSpatialHash(SPATIAL_CELL);
+  const things = createSpatialHash(SPATIAL_CELL);
+  const agents = createSpatialHash(AGENT_CELL);
+  const loot = createSpatialHash(SPATIAL_CELL);
+  things.insert({ type:'house', id:'house', ...HOUSE });
+  if (quest.finale) things.insert({ type:'valentine', id:'valentine', ...GATE });
+  for (const t of [...state.world.trees, ...(state.world.dfTrees || [])]) {
+    // saves from before the snow caps have no tree.snow: a tree already shaken lost its cap back then
+    if (typeof t.snow !== 'boolean') t.snow = !t.shaken;
+    solids.insert(things.insert({ type:'tree', id:t.id, x:t.x, z:t.z, r:1.08, data:t }));
+  }
+  for (const r of state.world.rocks) {
+    solids.insert(things.insert({ type:'rock', id:r.id, x:r.x, z:r.z, r:0.90, data:r }));
+  }
+  // Bees and cats plan on one grid built from the same obstacles as resolveToLand (static, so built once).
+  // Bees that may fly over the ice (DIFFICULTIES.iceBees) use a second grid with the ponds open, made on first use.
+  const navGrid = (ice) => createNavGrid({
+    minX: -island.rx, maxX: island.rx, minZ: -island.rz, maxZ: island.rz, cell: NAV_CELL,
+    blocked: (x, z) => blockedOutdoor(x, z, NAV_PAD, ice),
+  });
+  const nav = navGrid(false);
+  let iceNav = null;
+  // Points of interest cats like to visit: spots are picked on a ring (rx, rz) around each one
+  const pois = [
+    { id:'catHouse', x:CAT_HOUSE.x, z:CAT_HOUSE.z, rx:1.5, rz:1.4 },
+    ...ponds.map((p, i) => ({ id:`pond${i}`, x:p.x, z:p.z, rx:p.rx + 1.0, rz:p.rz + 1.0 })),
+  ];
+  if (quest.finale) pois.push({ id:'gate', x:GATE.x, z:GATE.z, rx:1.8, rz:1.8 });
+
+  const invGet = (k)=>state.inv[k]||0;
+  function invAdd(k,n){
+    state.inv[k]=(state.inv[k]||0)+n;
+    emit('inv');
+    emit('save');
+  }
+
+  function pickWanderTarget(avoidX, avoidZ){
+    for (let i=0;i<40;i++) {
+      const p = randomLandPoint(2.2, rng);
+      if (dist2(p.x, p.z, avoidX, avoidZ) < 9) continue;
+      return { x: p.x, z: p.z };
+    }
+    return { x: 0, z: 0 };
+  }
+
+  // NPC cats (cast of the active quest)
+  for (const c of quest.cast) {
+    const npc = {
+      type: 'npc',
+      id: c.role,
+      role: c.role,
+      name: c.name,
+      palette: c.palette,
+      x: c.x, z: c.z, ry: 0,
+      r: 0.90,
+      vx: 0, vz: 0,
+      speed: randRange(1.05, 1.55),
+      wait: randRange(0.2, 1.2),
+      // target = { x, z, poi } where the cat is heading, path = nav waypoints to it
+      target: null,
+      path: [],
+      stuck: 0,
+      mood: rng() < 0.5 ? 'cheer' : 'calm',
+      freeze: 0,
+    };
+    state.npcs.push(npc);
+    things.insert(npc);
+    agents.insert(npc);
+  }
+
+  function spawnPickup(kind, x, z){
+    state.pickups.push(loot.insert({ id:`p${pickupSeq++}`, kind, x, z, r:0.55 }));
+  }
+  for (const p of (save.pickups || [])) spawnPickup(p.kind, p.x, p.z);
+
+  // ---- Game over ----
+  function gameOver(key){
+    if (state.over) return;
+    state.over = { key: key || 'go.default' };
+    stopSwarm();
+    emit('gameOver', { key: state.over.key });
+  }
+
+  // ---- Bee ----
+  function startSwarm(treeId, x, z){
+    const sw = state.swarm;
+    if (sw.active) return;
+    const [lo, hi] = DIFFICULTIES[difficulty].swarm;
+    const count = lo + Math.floor(rng() * (hi - lo + 1));
+    sw.active = true;
+    sw.treeId = treeId;
+    sw.originX = x;
+    sw.originZ = z;
+    sw.t = 0;
+    sw.gaveUp = false;
+    sw.closest = null;
+    sw.stuck = 0;
+    // wait a moment before the first one actually starts chasing, then one by one
+    sw.bees = [];
+    for (let i=0; i<count; i++) {
+      sw.bees.push(agents.insert({ type:'bee', id:i, x, z, vx:0, vz:0, ry:rng()*Math.PI*2, phase:'wait',
+                                   launch: WASP_DELAY + i*WASP_STAGGER, path:[], repath:i*0.1 }));
+    }
+    toast(rules.text.beeNest, null, 2.4);
+  }
+  function stopSwarm(){
+    const sw = state.swarm;
+    if (!sw.active) return;
+    sw.active = false;
+    sw.treeId = null;
+    sw.gaveUp = false;
+    for (const b of sw.bees) agents.remove(b);
+    sw.bees = [];
+  }
+  // Where a bee heads now: straight at the goal when the grid sees it, else the next waypoint
+  // (inside a cell the grid marks blocked, e.g. just out of the nest canopy: head straight for it, moveBee slides)
+  function beeNavTarget(b, goal, dt, nav){
+    if (!nav.openAt(b.x, b.z) || nav.lineOfSight(b.x, b.z, goal.x, goal.z)) {
+      b.path = [];
+      return goal;
+    }
+    b.repath -= dt;
+    if (b.repath <= 0 || !b.path.length) {
+      b.path = nav.findPath(b.x, b.z, goal.x, goal.z) || [];
+      b.repath = WASP_REPATH;
+    }
+    while (b.path.length && dist2(b.x, b.z, b.path[0].x, b.path[0].z) < 0.6*0.6) b.path.shift();
+    // past the last waypoint (goal right next to a trunk): final approach
+    return b.path[0] || goal;
+  }
+  // separation / cohesion / alignment against the other chasing bees
+  function flockForce(b){
+    let sx=0, sz=0, cx=0, cz=0, ax=0, az=0, n=0;
+    agents.forEach(b.x, b.z, FLOCK.radius, (o) => {
+      if (o === b || o.type !== 'bee' || o.phase !== 'chase') return;
+      const d2 = dist2(b.x, b.z, o.x, o.z);
+      if (d2 > FLOCK.radius*FLOCK.radius) return;
+      const d = Math.max(Math.sqrt(d2), 0.05);
+      sx += (b.x - o.x) / (d*d); sz += (b.z - o.z) / (d*d);
+      cx += o.x; cz += o.z;
+      ax += o.vx; az += o.vz;
+      n++;
+    });
+    if (!n) return { x:0, z:0 };
+    cx = cx/n - b.x; cz = cz/n - b.z;
+    const cl = Math.hypot(cx, cz) || 1;
+    return {
+      x: sx*FLOCK.sep + cx/cl*FLOCK.coh + (ax/n - b.vx)*FLOCK.ali / WASP_SPEED,
+      z: sz*FLOCK.sep + cz/cl*FLOCK.coh + (az/n - b.vz)*FLOCK.ali / WASP_SPEED,
+    };
+  }
+  // Move a bee/cat by its velocity, sliding along obstacles (the velocity keeps only the sliding part).
+  // Something already inside an obstacle (a bee leaving its nest tree) may always move, just never onto
+  // closed ice (a nest by the pond would let it straight through). ice = ponds are open.
+  function moveAgent(a, dt, body, ice = false){
+    const x2 = a.x + a.vx * dt;
+    const z2 = a.z + a.vz * dt;
+    if (blockedOutdoor(a.x, a.z, body, ice) && (ice || !insideAnyPond(x2, z2))) { a.x = x2; a.z = z2; }
+    else {
+      const p = slideOutdoor(x2, z2, a.x, a.z, body, ice);
+      if (p.x !== x2 || p.z !== z2) { a.vx = (p.x - a.x) / dt; a.vz = (p.z - a.z) / dt; }
+      a.x = p.x; a.z = p.z;
+    }
+    if (Math.hypot(a.vx, a.vz) > 0.05) a.ry = Math.atan2(a.vx, a.vz);
+  }
+  function updateSwarm(dt){
+    const sw = state.swarm;
+    if (!sw.active) return;
+    sw.t += dt;
+    const tune = DIFFICULTIES[difficulty];
+    const speed = WASP_SPEED * tune.speed * snowSlow();
+    if (tune.iceBees && !iceNav) iceNav = navGrid(true);
+    const grid = tune.iceBees ? iceNav : nav;
+    const pl = state.player;
+    const nest = { x: sw.originX, z: sw.originZ };
+
+    // no chasing bee got any closer for a while: the player is out of their reach (or outrunning them)
+    let closest = Infinity;
+    for (const b of sw.bees) if (b.phase === 'chase') closest = Math.min(closest, Math.sqrt(dist2(b.x, b.z, pl.x, pl.z)));
+    if (closest < Infinity) {
+      if (sw.closest === null || closest < sw.closest - WASP_GAIN) { sw.closest = closest; sw.stuck = 0; }
+      else sw.stuck += dt;
+    }
+    // the player got far enough from the nest (or out of reach): the whole swarm gives up and flies home
+    if (!sw.gaveUp && (Math.sqrt(dist2(pl.x, pl.z, nest.x, nest.z)) > tune.giveUp || sw.stuck > tune.stuck)) {
+      sw.gaveUp = true;
+      for (const b of sw.bees) { b.phase = 'home'; b.path = []; b.repath = 0; }
+      toast('bee.gaveUp', null, 1.8);
+    }
+
+    for (const b of sw.bees) {
+      if (b.phase === 'wait') {
+        b.launch -= dt;
+        if (b.launch > 0) continue;
+        b.phase = 'chase';
+      }
+      const goal = b.phase === 'home' ? nest : pl;
+      const d = Math.sqrt(dist2(b.x, b.z, goal.x, goal.z));
+      const tg = beeNavTarget(b, goal, dt, grid);
+      const tl = Math.hypot(tg.x - b.x, tg.z - b.z) || 1;
+      let wx = (tg.x - b.x) / tl, wz = (tg.z - b.z) / tl;
+      if (b.phase === 'chase') {
+        const f = flockForce(b);
+        wx += f.x; wz += f.z;
+      }
+      const wl = Math.hypot(wx, wz) || 1;
+      steerVelocity(b, wx/wl*speed, wz/wl*speed, WASP_ACCEL, dt);
+      moveAgent(b, dt, WASP_BODY, tune.iceBees);
+      agents.move(b);
+
+      if (b.phase === 'home') { if (d < WASP_HOME) { b.phase = 'done'; agents.remove(b); } }
+      // sting
+      else if (d < 0.75) { gameOver(rules.text.stung); return; }
+    }
+    sw.bees = sw.bees.filter(b => b.phase !== 'done');
+    if (!sw.bees.length) stopSwarm();
+  }
+
+  // ---- Movement & collision ----
+  function resolveToIndoor(x,z,oldX,oldZ){
+    // keep inside the walls (6.4 half width); clamping each axis slides along them
+    const lim = 6.2;
+    x = clamp(x, -lim, lim);
+    z = clamp(z, -lim, lim);
+    // furniture boxes push the player out along the normal (from inside: out the nearest side)
+    for (const f of INDOOR_FURNITURE) {
+      if (!f.hx) continue;
+      const cx = clamp(x, f.x - f.hx, f.x + f.hx), cz = clamp(z, f.z - f.hz, f.z + f.hz);
+      const dx = x - cx, dz = z - cz, d2 = dx*dx + dz*dz;
+      if (d2 >= INDOOR_PAD*INDOOR_PAD) continue;
+      if (d2 > 1e-8) {
+        const d = Math.sqrt(d2);
+        x = cx + dx / d * INDOOR_PAD;
+        z = cz + dz / d * INDOOR_PAD;
+      } else if (f.hx - Math.abs(x - f.x) < f.hz - Math.abs(z - f.z)) {
+        x = f.x + (x < f.x ? -1 : 1) * (f.hx + INDOOR_PAD);
+      } else {
+        z = f.z + (z < f.z ? -1 : 1) * (f.hz + INDOOR_PAD);
+      }
+    }
+    return { x: clamp(x, -lim, lim), z: clamp(z, -lim, lim) };
+  }
+  // Outdoor obstacles for a body of radius pad: sea, ponds (unless ice = may walk on them), house, trees/rocks (not NPC).
+  // The player (pad 0.70, ice) and the nav grids share this.
+  function blockedOutdoor(x, z, pad, ice = false){
+    if (!onLand(x,z)) return true;
+    if (!ice && insideAnyPond(x,z)) return true;
+    // house
+    if (Math.sqrt(dist2(x,z, HOUSE.x,HOUSE.z)) < HOUSE_SOLID + pad) return true;
+    return solids.some(x, z, SOLID_MAX_R + pad, (o) => dist2(x,z, o.x,o.z) < (o.r + pad)*(o.r + pad));
+  }
+  // Slide a body of radius pad from (oldX, oldZ) toward (x, z): circles (house, trees, rocks) and ellipses
+  // (coast, ponds; the body may touch their edge like before) push it out along their normal, a few rounds
+  // for corners between two obstacles. Still wedged somewhere: stay put.
+  function slideOutdoor(x, z, oldX, oldZ, pad, ice = false){
+    const p = { x, z };
+    for (let i=0; i<4; i++) {
+      let hit = pushEllipse(p, islandShape, 0, false);
+      if (!ice) for (const pd of ponds) hit = pushEllipse(p, pd, 0, true) || hit;
+      hit = pushCircle(p, HOUSE.x, HOUSE.z, HOUSE_SOLID + pad, oldX, oldZ) || hit;
+      solids.forEach(p.x, p.z, SOLID_MAX_R + pad, (o) => { hit = pushCircle(p, o.x, o.z, o.r + pad, oldX, oldZ) || hit; });
+      if (!hit) break;
+    }
+    if (blockedOutdoor(p.x, p.z, pad, ice) && !blockedOutdoor(oldX, oldZ, pad, ice)) return { x:oldX, z:oldZ };
+    return p;
+  }
+  // the player: ponds are walkable ice
+  function resolveToLand(x,z,oldX,oldZ){
+    return slideOutdoor(x, z, oldX, oldZ, 0.70, true);
+  }
+
+  function updatePlayer(dt, mx, mz){
+    const pl = state.player;
+    let vx = mx;
+    let vz = mz;
+    const len = Math.hypot(vx, vz);
+    if (len > 1) { vx/=len; vz/=len; }
+
+    if (len > 0.06) pl.ry = Math.atan2(vx, vz);
+
+    // deep snow slows the walk outdoors (the beach stays clear)
+    const speed = PLAYER_SPEED * (state.stage === 'outdoor' && !onSand(pl.x, pl.z) ? snowSlow() : 1);
+    if (state.stage === 'outdoor' && insideAnyPond(pl.x, pl.z)) {
+      // on the ice the stick only nudges: momentum carries on and fades slowly
+      const drag = Math.exp(-ICE_DRAG * dt);
+      pl.vx = (pl.vx + vx * ICE_ACCEL * dt) * drag;
+      pl.vz = (pl.vz + vz * ICE_ACCEL * dt) * drag;
+      const sp = Math.hypot(pl.vx, pl.vz), max = PLAYER_SPEED * ICE_MAX;
+      if (sp > max) { pl.vx *= max / sp; pl.vz *= max / sp; }
+      pl.slide = ICE_EXIT;
+    } else if (pl.slide > 0) {
+      // just off the ice: the slide eases into the walk instead of stopping dead
+      const k = Math.min(1, dt / pl.slide);
+      pl.slide -= dt;
+      pl.vx += (vx * speed - pl.vx) * k;
+      pl.vz += (vz * speed - pl.vz) * k;
+    } else {
+      pl.vx = vx * speed;
+      pl.vz = vz * speed;
+    }
+    const nx = pl.x + pl.vx * dt;
+    const nz = pl.z + pl.vz * dt;
+    const col = (state.stage==='indoor')
+      ? resolveToIndoor(nx,nz,pl.x,pl.z)
+      : resolveToLand(nx,nz,pl.x,pl.z);
+    // bumped into something: keep only the part of the velocity that moved
+    if (dt > 0) { pl.vx = (col.x - pl.x) / dt; pl.vz = (col.z - pl.z) / dt; }
+    pl.x = col.x;
+    pl.z = col.z;
+  }
+
+  // ---- Weather ----
+  const snowSlow = () => 1 - SNOW_SLOW * state.weather.depth;
+  function setWeather(kind){
+    if (!WEATHER[kind]) return;
+    const w = state.weather;
+    const [lo, hi] = WEATHER[kind].last;
+    w.left = randRange(lo, hi);
+    if (w.kind === kind) return;
+    w.kind = kind;
+    toast(`weather.${kind}`, null, 2.4);
+  }
+  function regrowSnowCap(){
+    const bare = [...state.world.trees, ...(state.world.dfTrees || [])].filter(t => t.snow === false);
+    if (!bare.length) return;
+    const t = bare[Math.floor(rng() * bare.length)];
+    t.snow = true;
+    emit('snowCap', { id: t.id });
+  }
+  function updateWeather(dt){
+    const w = state.weather;
+    const def = WEATHER[w.kind];
+    w.depth = clamp(w.depth + def.snow * dt, 0, 1);
+    if (def.caps && rng() < dt / def.caps) regrowSnowCap();
+    w.left -= dt;
+    if (w.left > 0) return;
+    let r = rng(), next = w.kind;
+    for (const [kind, p] of Object.entries(def.next)) { next = kind; if ((r -= p) < 0) break; }
+    setWeather(next);
+  }
+
+  function updatePickups(){
+    const px=state.player.x, pz=state.player.z;
+    const got = [];
+    loot.forEach(px, pz, 1.1, (p) => { if (dist2(px,pz,p.x,p.z) < 1.1*1.1) got.push(p); });
+    for (const p of got) {
+      loot.remove(p);
+      state.pickups.splice(state.pickups.indexOf(p), 1);
+      invAdd(p.kind, 1); // 地面から消してからセーブ（二重取得しない）
+      emit('pickup', { kind: p.kind, x: p.x, z: p.z });
+      toast('pickup.got', { kind: p.kind, count: 1 });
+    }
+  }
+
+  // Next place for a cat: sometimes a point of interest, otherwise a random spot away from the player
+  function pickCatGoal(){
+    if (pois.length && rng() < CAT_POI_CHANCE) {
+      const p = pois[Math.floor(rng() * pois.length)];
+      const a = rng() * Math.PI * 2;
+      const x = p.x + Math.cos(a) * p.rx, z = p.z + Math.sin(a) * p.rz;
+      const i = nav.nearestOpen(x, z);
+      if (i >= 0) return { ...(nav.openAt(x, z) ? { x, z } : nav.center(i)), poi: p.id };
+    }
+    return { ...pickWanderTarget(state.player.x, state.player.z), poi: null };
+  }
+  function planCat(o){
+    o.target = pickCatGoal();
+    o.path = nav.findPath(o.x, o.z, o.target.x, o.target.z) || [];
+    o.stuck = 0;
+  }
+
+  function updateNPCs(dt){
+    const px=state.player.x, pz=state.player.z;
+    for (const o of state.npcs) {
+      if (o.freeze > 0) { o.freeze -= dt; o.vx = o.vz = 0; continue; }
+      if (o.wait > 0) { o.wait -= dt; o.vx = o.vz = 0; continue; }
+      if (!o.path.length) {
+        planCat(o);
+        // unreachable from here: try another place in a moment
+        if (!o.path.length) { o.wait = randRange(0.3, 1.0); continue; }
+      }
+
+      const wp = o.path[0];
+      const reach = o.path.length > 1 ? 0.6 : 0.35;
+      if (dist2(o.x, o.z, wp.x, wp.z) < reach*reach) {
+        o.path.shift();
+        if (!o.path.length) {
+          // arrived: a point of interest is worth a longer sit
+          o.wait = o.target.poi ? randRange(2.0, 4.5) : randRange(0.4, 1.6);
+          o.vx = o.vz = 0;
+          continue;
+        }
+      }
+
+      const next = o.path[0];
+      const d = Math.hypot(next.x - o.x, next.z - o.z) || 1;
+      let nx = (next.x - o.x) / d, nz = (next.z - o.z) / d;
+      // keep out of each other's way
+      agents.forEach(o.x, o.z, CAT_SPACE, (c) => {
+        if (c === o || c.type !== 'npc') return;
+        const cd = Math.sqrt(dist2(o.x, o.z, c.x, c.z));
+        if (cd < CAT_SPACE) {
+          const k = (CAT_SPACE - cd) / CAT_SPACE;
+          nx += ((o.x - c.x) / Math.max(cd, 0.001)) * k * 1.2;
+          nz += ((o.z - c.z) / Math.max(cd, 0.001)) * k * 1.2;
+        }
+      });
+      // and shy away from the player
+      const pd = Math.sqrt(dist2(o.x,o.z, px,pz));
+      if (pd < 2.0) {
+        nx += ((o.x-px)/Math.max(pd,0.001))*0.9;
+        nz += ((o.z-pz)/Math.max(pd,0.001))*0.9;
+      }
+      const vl = Math.hypot(nx, nz) || 1;
+      steerVelocity(o, nx/vl*o.speed, nz/vl*o.speed, CAT_ACCEL, dt);
+
+      const ox = o.x, oz = o.z;
+      moveAgent(o, dt, CAT_BODY);
+      agents.move(o);
+      things.move(o);
+      // pinned against something (or another cat): give up on this walk instead of jittering
+      const moved = Math.hypot(o.x - ox, o.z - oz);
+      o.stuck = moved < o.speed * dt * 0.25 ? o.stuck + dt : Math.max(0, o.stuck - dt);
+      if (o.stuck > 1.2) {
+        o.path = [];
+        o.stuck = 0;
+        o.wait = randRange(0.2, 0.8);
+      }
+    }
+  }
+
+  // ---- Stage switching ----
+  function enterHouse(){
+    toast('house.enter', null, 1.2);
+    // entering cancels chase
+    stopSwarm();
+    state.stage = 'indoor';
+    Object.assign(state.player, INDOOR_SPAWN);
+    emit('stage', { stage: 'indoor' });
+    emit('save');
+  }
+  function leaveHouse(){
+    toast('door.out', null, 1.2);
+    state.stage = 'outdoor';
+    // spawn just outside house door
+    Object.assign(state.player, HOUSE_FRONT);
+    emit('stage', { stage: 'outdoor' });
+    emit('save');
+  }
+
+  // ---- Quest engine (interprets the quest def from quests.js) ----
+  const hasItems = (items) => Object.entries(items || {}).every(([k, n]) => invGet(k) >= n);
+  const questStepIndex = (role) => quest.steps.findIndex(s => s.npc === role);
+
+  // Which dialogue node talking to this NPC role opens (no side effects)
+  function questEvaluate(role){
+    const index = questStepIndex(role);
+    const step = quest.steps[index];
+    const ready = !!step && hasItems(step.requires);
+
+    // 順番違いでも "fail" の段は渡せてしまう（渡した瞬間にゲームオーバー）
+    if (ready && (state.quest.step === index || step.outOfOrder === 'fail')) return 'offer';
+    for (const f of (quest.failures || [])) {
+      if (f.npc === role && hasItems(f.holding)) return f.node;
+    }
+    if (step && !ready) return 'need';
+    const hint = (quest.hints || []).find(h => h.npc === role && (h.belowStep == null || state.quest.step < h.belowStep));
+    return hint ? hint.node : 'idle';
+  }
+
+  // Hand over the required items, take the reward, advance the chain
+  function questComplete(index){
+    const step = quest.steps[index];
+    for (const [k, n] of Object.entries(step.requires || {})) invAdd(k, -n);
+    for (const [k, n] of Object.entries(step.reward || {})) invAdd(k, n);
+    state.quest.step = index + 1;
+    emit('save');
+  }
+
+  // A dialogue choice with `do`. Returns false when the conversation has to end here.
+  function questAction(action, role, nodeId){
+    if (action === 'give') {
+      const index = questStepIndex(role);
+      const step = quest.steps[index];
+      if (!step || !hasItems(step.requires)) return false;
+      // ★「渡して受け取る」瞬間だけ順番チェック
+      if (state.quest.step !== index) {
+        if (step.outOfOrder === 'fail') gameOver(quest.orderFail);
+        return false;
+      }
+      questComplete(index);
+      return true;
+    }
+    if (action === 'fail') {
+      const f = (quest.failures || []).find(f => f.npc === role && f.node === nodeId);
+      gameOver(f ? f.message : quest.orderFail);
+      return false;
+    }
+    return true;
+  }
+
+  // ---- Action (A button) ----
+  function shakeTree(o){
+    const tr = o.data;
+    if (tr.shaken) { toast(rules.text.treeAgain); return; }
+
+    // one-time shake now consumes the tree (and knocks its snow cap off)
+    tr.shaken = true;
+    const snow = tr.snow !== false;
+    tr.snow = false;
+    emit('shake', { id: tr.id, x: tr.x, z: tr.z, snow });
+    if (snow) toast(rules.text.treeSnow, null, 1.6);
+
+    // fruit or coconut (instant KO) or nothing/wasps
+    if (tr.fruit) {
+      spawnPickup(tr.fruit, tr.x + (rng()*0.9 - 0.45), tr.z + 1.2);
+      toast('tree.dropped', { kind: tr.fruit, count: 1 });
+    } else if (tr.coconut) {
+      // immediate game over: "coconut fell" and got hit
+      gameOver(rules.text.coconut);
+    } else {
+      if (!tr.hadWasp && rng() < NEST_CHANCE) {
+        tr.hadWasp = true; // this tree will never trigger again
+        emit('nest', { id: tr.id, x: tr.x, z: tr.z });
+        if (invGet(REPELLENT) > 0) {
+          invAdd(REPELLENT, -1);
+          toast('bee.repelled', null, 2.2);
+        } else startSwarm(tr.id, tr.x, tr.z);
+      } else {
+        toast('tree.empty');
+      }
+    }
+    emit('save');
+  }
+
+  // ---- Rocks: each one can be turned over once (rock.flipped / rock.find are saved in world.rocks) ----
+  function rollRockFind(r){
+    const rnd = mulberry32(state.seed ^ hashString(r.id));
+    const table = rules.rockLoot;
+    let roll = rnd() * table.reduce((sum, e) => sum + e.w, 0);
+    const e = table.find(e => (roll -= e.w) < 0) || table[table.length - 1];
+    if (e.item) return { item: e.item[0], count: e.item[1] };
+    if (e.hint) return { hint: true };
+    if (e.critter) return { critter: CRITTERS[Math.floor(rnd() * CRITTERS.length)] };
+    return {};
+  }
+  // the next quest step as "who wants what" (a finished chain points at the finale, if any)
+  function rockHint(){
+    const st = quest.steps[state.quest.step];
+    if (st) {
+      const npc = quest.cast.find(c => c.role === st.npc);
+      toast('rock.hint', { name: npc ? npc.name : st.npc, items: Object.entries(st.requires || {}) }, 3.2);
+    } else toast(quest.finale ? 'rock.hintGate' : 'rock.nothing', null, 2.4);
+  }
+  function flipRock(o){
+    const r = o.data;
+    if (r.flipped) { toast('rock.flipped', null, 1.2); return; }
+    r.flipped = true;
+    r.find = rollRockFind(r);
+    emit('rockFlip', { id: r.id, x: r.x, z: r.z, critter: r.find.critter || null });
+    if (r.find.item) {
+      for (let i=0; i<r.find.count; i++) spawnPickup(r.find.item, r.x + (rng()*0.8 - 0.4), r.z + 1.2);
+      toast('rock.found', { kind: r.find.item, count: r.find.count });
+    } else if (r.find.hint) rockHint();
+    else if (r.find.critter) toast('rock.critter', { name: `critter.${r.find.critter}` }, 2.4);
+    else toast('rock.nothing', null, 1.6);
+    emit('save');
+  }
+
+  // ---- Indoor furniture ----
+  // nearest piece within reach: solid furniture first, the rug only when nothing else is
+  function furnitureAt(x, z){
+    let best = null, bestD = INDOOR_REACH;
+    for (const f of INDOOR_FURNITURE) {
+      if (!f.hx) continue;
+      const d = Math.hypot(x - clamp(x, f.x - f.hx, f.x + f.hx), z - clamp(z, f.z - f.hz, f.z + f.hz));
+      if (d < bestD) { best = f; bestD = d; }
+    }
+    return best || INDOOR_FURNITURE.find(f => !f.hx && Math.hypot(x - f.x, z - f.z) < f.r) || null;
+  }
+  // sleep till the next morning (DAY_START); with the real clock the night can't be skipped, only saved
+  function sleep(){
+    const real = DAY_LENGTHS[dayLength] === 0;
+    const hours = real ? 0 : (DAY_START - state.clock + 24) % 24 || 24;
+    if (!real) state.clock = DAY_START;
+    toast(real ? 'bed.rest' : 'bed.sleep', null, 2.0);
+    emit('sleep', { hours });
+    emit('save');
+  }
+  // shelf storage: one kind at a time, moved between inv and storage
+  function store(k, n = 1){
+    if (state.over || !(n > 0) || invGet(k) < n) return false;
+    state.storage[k] = (state.storage[k] || 0) + n;
+    invAdd(k, -n);
+    return true;
+  }
+  function takeOut(k, n = 1){
+    if (state.over || !(n > 0) || (state.storage[k] || 0) < n) return false;
+    state.storage[k] -= n;
+    if (!state.storage[k]) delete state.storage[k];
+    invAdd(k, n);
+    return true;
+  }
+
+  // ---- Crafting (RECIPES from recipes.js) ----
+  const recipes = RECIPES.filter(r => !r.modes || r.modes.includes(mode));
+  const canCraft = (id) => { const r = recipes.find(r => r.id === id); return !!r && hasItems(r.needs); };
+  // items the quest steps still to do will ask for (crafting them away can leave the quest stuck)
+  function questReserved(){
+    const out = {};
+    for (const st of quest.steps.slice(state.quest.step)) {
+      for (const [k, n] of Object.entries(st.requires || {})) out[k] = (out[k] || 0) + n;
+    }
+    return out;
+  }
+  function craft(id){
+    const r = recipes.find(r => r.id === id);
+    if (state.over || !r || !hasItems(r.needs)) return false;
+    for (const [k, n] of Object.entries(r.needs)) invAdd(k, -n);
+    for (const [k, n] of Object.entries(r.makes)) invAdd(k, n);
+    const [kind, count] = Object.entries(r.makes)[0];
+    toast('craft.made', { kind, count }, 1.8);
+    return true;
+  }
+
+  function act(){
+    if (state.over) return;
+    const px = state.player.x;
+    const pz = state.player.z;
+
+    if (state.stage === 'indoor') {
+      // exit door
+      if (Math.hypot(px - INDOOR_DOOR.x, pz - INDOOR_DOOR.z) < 1.6) return leaveHouse();
+      const f = furnitureAt(px, pz);
+      if (!f) toast(rules.text.roomIdle, null, 1.0);
+      else if (f.use === 'sleep') sleep();
+      else if (f.use === 'rug') toast('room.rug', null, 1.6);
+      // table / chair / shelf: main.js opens the crafting, journal or storage panel
+      else emit(f.use);
+      return;
+    }
+
+    // Valentine gate entry (quest.finale.requires, e.g. cat_soul_card)
+    if (quest.finale && Math.sqrt(dist2(px, pz, GATE.x, GATE.z)) < 2.6) {
+      const fin = quest.finale;
+      if (!hasItems(fin.requires)) { toast(fin.locked); return; }
+      toast(fin.toast, null, 2.0);
+      emit('finale', { bigMessage: fin.bigMessage, url: fin.url || null, delay: fin.delay ?? 5 });
+      return;
+    }
+
+    // Prefer house entry if close enough (even while bees are chasing)
+    if (Math.sqrt(dist2(px, pz, HOUSE.x, HOUSE.z)) < 2.9) { enterHouse(); return; }
+
+    const nearest = things.nearest(px, pz, 2.3);
+    if (!nearest) { toast('nothing'); return; }
+
+    if (nearest.type === 'house') return enterHouse();
+    if (nearest.type === 'tree') return shakeTree(nearest);
+    if (nearest.type === 'npc') {
+      nearest.freeze = 2.8;
+      nearest.wait = 0;
+      emit('talk', { npc: nearest.id, node: questEvaluate(nearest.role) });
+      return;
+    }
+    if (nearest.type === 'rock') return flipRock(nearest);
+  }
+
+  // input: { mx, mz } movement (-1..1, same axes as the stick), action = A pressed this step
+  function step(dt, input = {}){
+    if (state.over) return;
+    state.time += dt;
+    const daySec = DAY_LENGTHS[dayLength];
+    if (daySec > 0) state.clock = (state.clock + dt * 24 / daySec) % 24;
+    updateWeather(dt);
+    if (input.action) act();
+    if (state.over) return;
+    updatePlayer(dt, input.mx || 0, input.mz || 0);
+    if (state.stage === 'outdoor') {
+      updateNPCs(dt);
+      updatePickups();
+      // bees only outdoors
+      updateSwarm(dt);
+    }
+  }
+
+  return {
+    state, rules, quest,
+    generated: !haveWorld, // world was just rolled from the seed (not loaded)
+    step, act, questEvaluate, questAction, hasItems, recipes, canCraft, craft, questReserved, store, takeOut, resolveToLand, resolveToIndoor, blockedOutdoor, nav, pois,
+    spatial: { solids, things, agents, loot },
+    drainEvents: () => events.splice(0),
+    npc: (id) => state.npcs.find(n => n.id === id) || null,
+    // takes effect from the next nest
+    setDifficulty(id){ if (DIFFICULTIES[id]) difficulty = id; },
+    get difficulty(){ return difficulty; },
+    setDayLength(id){ if (DAY_LENGTHS[id] !== undefined) dayLength = id; },
+    get dayLength(){ return dayLength; },
+    setWeather,
+    setClock(h){ if (Number.isFinite(h)) state.clock = ((h % 24) + 24) % 24; },
+    // 会話が終わった猫は少しだけその場で待つ
+    releaseNpc(id, sec = 0.8){ const n = this.npc(id); if (n) n.freeze = sec; },
+    setPlayer(x, z, ry){ Object.assign(state.player, { x, z, ry, vx: 0, vz: 0 }); },
+    // save-shaped copy (main.js adds v/slot handling)
+    snapshot(){
+      return JSON.parse(JSON.stringify({
+        seed: state.seed, mode: state.mode, inv: state.inv, storage: state.storage, world: state.world,
+        quest: { step: state.quest.step }, stage: state.stage,
+        player: { x: state.player.x, z: state.player.z, ry: state.player.ry }, clock: state.clock,
+        weather: state.weather,
+        pickups: state.pickups.map(p => ({ kind:p.kind, x:p.x, z:p.z })),
+      }));
+    },
+    // restart: the same island and rules, none of the progress
+    restartSave(){ return { seed: state.seed, mode: state.mode }; },
+  };
+}
+
+return {
+  clamp, dist2, mulberry32, hashString, shuffle,
+  GAME_MODES, DEFAULT_MODE, DIFFICULTIES, DEFAULT_DIFFICULTY, DAY_LENGTHS, DEFAULT_DAY_LENGTH, WEATHER,
+  island, onLand, onSand, ponds, insideAnyPond,
+  HOUSE, CAT_HOUSE, GATE, INDOOR_DOOR, INDOOR_FURNITURE, HOUSE_FRONT, PLAYER_SPEED,
+  randomLandPoint, generateWorld, createSim,
+};
+});
@@ -0,0 +1,491 @@
+// Headless checks for sim.js (no browser, no deps):  node sim.test.js
+// Fixed seeds and a seeded rng, so every run plays out the same way.
+const assert = require('node:assert/strict');
+const {
+  mulberry32, dist2, GAME_MODES, DIFFICULTIES, WEATHER, PLAYER_SPEED, INDOOR_FURNITURE, HOUSE, island, onLand, onSand, ponds, insideAnyPond,
+  randomLandPoint, generateWorld, createSim,
+} = require('./sim.js');
+const QUEST_DEFS = require('./quests.js').QUEST_DEFS;
+
+const SEED = 20260212;
+let failed = 0;
+function test(name, fn){
+  try{ fn(); console.log(`ok   ${name}`); }
+  catch(e){ failed++; console.log(`FAIL ${name}\n     ${e.message}`); }
+}
+const newSim = (opts = {}) => createSim({ seed: SEED, mode: 'valentino', rng: mulberry32(7), ...opts });
+const types = (sim) => sim.drainEvents().map(e => e.type);
+
+// Shake fruitless trees (skipping coconuts) until one drops a wasp nest; returns that tree
+function findNest(sim){
+  for (const t of sim.state.world.trees) {
+    if (t.fruit || t.coconut) continue;
+    sim.setPlayer(t.x + 1.3, t.z, 0);
+    sim.act();
+    if (types(sim).includes('nest')) return t;
+  }
+  return null;
+}
+
+// ---- World generation ----
+test('same seed, same world', () => {
+  const rules = GAME_MODES.valentino;
+  assert.deepEqual(generateWorld(SEED, rules), generateWorld(SEED, rules));
+  assert.deepEqual(newSim().snapshot(), newSim().snapshot());
+  assert.notDeepEqual(generateWorld(SEED + 1, rules), generateWorld(SEED, rules));
+});
+test('generated world stays on land', () => {
+  const w = generateWorld(SEED, GAME_MODES.valentino);
+  for (const o of [...w.trees, ...w.rocks, ...w.dfTrees]) assert.ok(onLand(o.x, o.z), `${o.id} off the island`);
+});
+test('snapshot reloads into the same state', () => {
+  const sim = newSim();
+  sim.state.inv.apple = 2;
+  sim.step(0.5, { mx: 1, mz: 0 });
+  const snap = sim.snapshot();
+  const again = createSim({ mode: 'valentino', save: snap, rng: mulberry32(7) }).snapshot();
+  assert.ok(Math.abs(again.clock - snap.clock) < 1e-9);
+  assert.deepEqual({ ...again, clock: 0 }, { ...snap, clock: 0 });
+});
+test('restart keeps the seed and mode, drops the progress', () => {
+  const sim = newSim({ mode: 'cozy', seed: 77 });
+  sim.state.inv.apple = 2;
+  sim.state.quest.step = 1;
+  sim.step(0.5, { mx: 1, mz: 0 });
+  const again = createSim({ save: sim.restartSave(), rng: mulberry32(7) });
+  assert.equal(again.state.mode, 'cozy');
+  assert.equal(again.state.seed, 77);
+  assert.deepEqual(again.snapshot(), newSim({ mode: 'cozy', seed: 77 }).snapshot());
+});
+
+// ---- Collision ----
+// a tree with nothing else around it out to `r`
+function clearTree(sim, r = 4.5){
+  const clear = (t) => {
+    for (let d = 1.9; d <= r; d += 0.25) {
+      for (let a = 0; a < Math.PI*2; a += 0.2) if (sim.blockedOutdoor(t.x + d*Math.cos(a), t.z + d*Math.sin(a), 0.70)) return false;
+    }
+    return true;
+  };
+  return sim.state.world.trees.find(clear);
+}
+test('outdoor: walking into a tree stops at its edge', () => {
+  const sim = newSim();
+  const t = sim.state.world.trees.find(t => !sim.blockedOutdoor(t.x + 3, t.z, 0.70));
+  const p = sim.resolveToLand(t.x + 0.5, t.z, t.x + 3, t.z);
+  assert.ok(Math.sqrt(dist2(p.x, p.z, t.x, t.z)) >= 1.08 + 0.70 - 1e-6, 'still inside the trunk');
+  assert.ok(!sim.blockedOutdoor(p.x, p.z, 0.70));
+});
+test('outdoor: pushing diagonally into a tree slides around it', () => {
+  const sim = newSim();
+  const t = clearTree(sim);
+  sim.setPlayer(t.x - 3, t.z - 0.2, 0);
+  let closest = Infinity;
+  for (let i = 0; i < 120; i++) {
+    sim.step(1/60, { mx: 1, mz: 0.25 });
+    closest = Math.min(closest, Math.sqrt(dist2(sim.state.player.x, sim.state.player.z, t.x, t.z)));
+  }
+  assert.ok(closest >= 1.08 + 0.70 - 1e-6, 'walked into the trunk');
+  assert.ok(sim.state.player.x > t.x, 'stuck against the trunk instead of sliding past');
+});
+test('outdoor: pushing diagonally into the house slides around its wall', () => {
+  const sim = newSim();
+  const wall = (x, z) => Math.sqrt(dist2(x, z, HOUSE.x, HOUSE.z));
+  sim.setPlayer(HOUSE.x - 4, HOUSE.z + 0.3, 0);
+  let closest = Infinity;
+  for (let i = 0; i < 120; i++) {
+    sim.step(1/60, { mx: 1, mz: 0.25 });
+    closest = Math.min(closest, wall(sim.state.player.x, sim.state.player.z));
+  }
+  assert.ok(closest >= 1.65 + 0.70 - 1e-6, 'walked into the house');
+  assert.ok(sim.state.player.x > HOUSE.x, 'stuck at the wall instead of sliding around it');
+});
+test('outdoor: the sea pushes back onto the island', () => {
+  const sim = newSim();
+  const p = sim.resolveToLand(island.rx + 4, 0, island.rx - 6, 0);
+  assert.ok(onLand(p.x, p.z));
+});
+test('indoor: walls clamp each axis (slide along them)', () => {
+  const sim = newSim();
+  assert.deepEqual(sim.resolveToIndoor(9, -9, 0, 0), { x: 6.2, z: -6.2 });
+  assert.deepEqual(sim.resolveToIndoor(9, 1, 0, 0), { x: 6.2, z: 1 });
+});
+test('indoor: furniture pushes out', () => {
+  const sim = newSim();
+  const bed = INDOOR_FURNITURE.find(f => f.id === 'bed');
+  const p = sim.resolveToIndoor(bed.x, bed.z + 0.2, bed.x, bed.z + 2);
+  assert.ok(Math.abs(p.z - bed.z) >= bed.hz || Math.abs(p.x - bed.x) >= bed.hx, 'still inside the bed');
+});
+test('indoor: moving with step() stops at the bed', () => {
+  const sim = newSim();
+  const bed = INDOOR_FURNITURE.find(f => f.id === 'bed');
+  sim.state.stage = 'indoor';
+  sim.setPlayer(bed.x, bed.z + 2, 0);
+  for (let i = 0; i < 120; i++) sim.step(1/60, { mx: 0, mz: -1 });
+  assert.ok(Math.abs(sim.state.player.z - (bed.z + bed.hz + 0.45)) < 1e-6);
+});
+
+// ---- Weather ----
+// a land point off the beach with `len` clear metres east of it (for walking checks)
+function openGround(sim, len){
+  const rnd = mulberry32(5);
+  for (;;) {
+    const p = randomLandPoint(3, rnd);
+    let ok = true;
+    for (let d = 0; d <= len && ok; d += 0.25) ok = !sim.blockedOutdoor(p.x + d, p.z, 0.70) && !onSand(p.x + d, p.z);
+    if (ok) return p;
+  }
+}
+test('weather spells follow the seeded rng', () => {
+  const run = (seed) => {
+    const sim = newSim({ rng: mulberry32(seed) });
+    const kinds = [];
+    for (let i = 0; i < 4*900; i++) {
+      sim.step(0.25, {});
+      if (kinds[kinds.length - 1] !== sim.state.weather.kind) kinds.push(sim.state.weather.kind);
+    }
+    return { kinds, weather: sim.state.weather };
+  };
+  const a = run(11);
+  assert.deepEqual(run(11), a);
+  assert.ok(a.kinds.length > 1, 'the weather never changed');
+  assert.ok(a.kinds.every(k => WEATHER[k]));
+  assert.notDeepEqual(run(12), a);
+});
+test('setWeather picks a spell length from its range', () => {
+  const sim = newSim();
+  sim.setWeather('blizzard');
+  const [lo, hi] = WEATHER.blizzard.last;
+  assert.equal(sim.state.weather.kind, 'blizzard');
+  assert.ok(sim.state.weather.left >= lo && sim.state.weather.left <= hi);
+  sim.setWeather('hail');
+  assert.equal(sim.state.weather.kind, 'blizzard');
+});
+test('snow piles up in a blizzard and settles when it clears', () => {
+  const sim = newSim();
+  sim.setWeather('blizzard');
+  for (let i = 0; i < 30; i++) sim.step(1, {});
+  const deep = sim.state.weather.depth;
+  assert.ok(Math.abs(deep - 30*WEATHER.blizzard.snow) < 1e-9);
+  sim.setWeather('clear');
+  for (let i = 0; i < 30; i++) sim.step(1, {});
+  assert.ok(sim.state.weather.depth < deep);
+});
+test('knocked-off snow caps grow back while it snows', () => {
+  const sim = newSim();
+  const t = clearTree(sim);
+  sim.setPlayer(t.x + 1.3, t.z, 0);
+  sim.act();
+  assert.equal(t.snow, false);
+  sim.setWeather('blizzard');
+  sim.setPlayer(0, 0, 0);
+  let ev = [];
+  for (let i = 0; i < 60*60 && !t.snow; i++) { sim.step(1/60, {}); ev = ev.concat(sim.drainEvents()); }
+  assert.equal(t.snow, true);
+  assert.ok(ev.some(e => e.type === 'snowCap' && e.id === t.id));
+});
+test('trees from saves without caps: shaken ones stay bare', () => {
+  const snap = newSim().snapshot();
+  for (const t of snap.world.trees) delete t.snow;
+  snap.world.trees[0].shaken = true;
+  const sim = createSim({ save: snap, rng: mulberry32(7) });
+  assert.equal(sim.state.world.trees[0].snow, false);
+  assert.equal(sim.state.world.trees[1].snow, !sim.state.world.trees[1].shaken);
+});
+test('deep snow slows the player off the beach', () => {
+  const walk = (depth) => {
+    const sim = newSim();
+    const p = openGround(sim, 6);
+    sim.state.weather.depth = depth;
+    sim.setPlayer(p.x, p.z, 0);
+    for (let i = 0; i < 60; i++) sim.step(1/60, { mx: 1, mz: 0 });
+    return sim.state.player.x - p.x;
+  };
+  const bare = walk(0), deep = walk(1);
+  assert.ok(Math.abs(bare - PLAYER_SPEED) < 1e-6);
+  // (the snow settles a little during the walk)
+  assert.ok(Math.abs(deep / bare - 0.7) < 0.005, `deep snow speed ${deep / bare}`);
+});
+
+// ---- Ice ----
+test('ice: the slide keeps going after the stick is let go', () => {
+  const sim = newSim();
+  const pond = ponds[0];
+  const pl = sim.state.player;
+  sim.setPlayer(pond.x - 1.5, pond.z, 0);
+  for (let i = 0; i < 30; i++) sim.step(1/60, { mx: 1, mz: 0 });
+  const v = pl.vx;
+  assert.ok(v > 0 && v < PLAYER_SPEED, `ice speed ${v}`);
+  const x = pl.x;
+  for (let i = 0; i < 30; i++) sim.step(1/60, {});
+  assert.ok(pl.x > x + 0.5*v*0.5, 'stopped dead on the ice');
+  assert.ok(pl.vx < v && pl.vx > v*0.7, `drag ${pl.vx / v}`);
+});
+test('ice: the slide eases into walking off the pond', () => {
+  const sim = newSim();
+  const pond = ponds[0];
+  const pl = sim.state.player;
+  sim.setPlayer(pond.x, pond.z, 0);
+  pl.vx = PLAYER_SPEED;
+  let t = 0;
+  while (insideAnyPond(pl.x, pl.z)) { sim.step(1/60, {}); t += 1/60; }
+  assert.ok(t < 2, 'never got off the ice');
+  const v = pl.vx;
+  assert.ok(v > PLAYER_SPEED*0.5, `lost the slide at the edge (${v})`);
+  sim.step(1/60, {});
+  assert.ok(pl.vx > 0 && pl.vx < v, 'stopped dead on the shore');
+  for (let i = 0; i < 30; i++) sim.step(1/60, {});
+  assert.deepEqual([pl.vx, pl.vz], [0, 0]);
+});
+const outOnIce = (p, x, z) => ((x - p.x)/p.rx)**2 + ((z - p.z)/p.rz)**2 < 0.8**2;
+// a seed whose nest is well inside giveUp of a pond (the player waits out on the ice)
+function nestNearPond(difficulty){
+  for (let seed = 1; ; seed++) {
+    const sim = newSim({ seed, difficulty });
+    const nest = findNest(sim);
+    const pond = nest && ponds.find(p => Math.sqrt(dist2(p.x, p.z, nest.x, nest.z)) < DIFFICULTIES[difficulty].giveUp - 6);
+    if (pond) return { sim, pond };
+  }
+}
+test('normal: bees stay off the ice and give up on a player out there', () => {
+  const { sim, pond } = nestNearPond('normal');
+  sim.setPlayer(pond.x, pond.z, 0);
+  let t = 0;
+  for (; t < 40 && !sim.state.swarm.gaveUp; t += 1/60) {
+    sim.step(1/60, {});
+    // (a bee squeezed between the shore and a trunk may graze the edge)
+    assert.ok(sim.state.swarm.bees.every(b => !outOnIce(pond, b.x, b.z)), 'a bee flew onto the ice');
+  }
+  assert.ok(sim.state.swarm.gaveUp, 'still hovering at the pond edge');
+  assert.ok(t > DIFFICULTIES.normal.stuck);
+  assert.equal(sim.state.over, null);
+});
+test('hard: bees follow onto the ice', () => {
+  const { sim, pond } = nestNearPond('hard');
+  sim.setPlayer(pond.x, pond.z, 0);
+  for (let i = 0; i < 60*30 && !sim.state.over; i++) sim.step(1/60, {});
+  assert.equal(sim.state.over?.key, GAME_MODES.valentino.text.stung);
+});
+
+// ---- Bees ----
+test('bees chase and sting a player who stays', () => {
+  const sim = newSim();
+  assert.ok(findNest(sim), 'no nest on this seed');
+  const [lo, hi] = DIFFICULTIES.normal.swarm;
+  assert.ok(sim.state.swarm.active);
+  assert.ok(sim.state.swarm.bees.length >= lo && sim.state.swarm.bees.length <= hi);
+  let chased = false;
+  for (let i = 0; i < 60*20 && !sim.state.over; i++) {
+    sim.step(1/60, {});
+    chased = chased || sim.state.swarm.bees.some(b => b.phase === 'chase');
+  }
+  assert.ok(chased, 'no bee ever chased');
+  assert.equal(sim.state.over?.key, GAME_MODES.valentino.text.stung);
+  assert.ok(types(sim).includes('gameOver'));
+});
+test('bees give up and fly home when the player gets away', () => {
+  const sim = newSim();
+  const nest = findNest(sim);
+  const rnd = mulberry32(3);
+  const landAt = (lo, hi) => {
+    for (;;) {
+      const p = randomLandPoint(2.2, rnd), d = Math.sqrt(dist2(p.x, p.z, nest.x, nest.z));
+      if (d > lo && d < hi && !sim.blockedOutdoor(p.x, p.z, 0.70, true)) return p;
+    }
+  };
+  // stand a little away until a bee is out chasing, then run off past giveUp
+  const near = landAt(8, 12);
+  sim.setPlayer(near.x, near.z, 0);
+  for (let i = 0; i < 60*10 && !sim.state.swarm.bees.some(b => b.phase === 'chase' && Math.sqrt(dist2(b.x, b.z, nest.x, nest.z)) > 3); i++) {
+    sim.step(1/60, {});
+  }
+  assert.equal(sim.state.over, null, 'stung before running off');
+  const far = landAt(DIFFICULTIES.normal.giveUp + 4, 1e9);
+  sim.setPlayer(far.x, far.z, 0);
+  sim.step(1/60, {});
+  assert.ok(sim.state.swarm.gaveUp);
+  assert.ok(sim.state.swarm.bees.every(b => b.phase === 'home'));
+  for (let i = 0; i < 60*30 && sim.state.swarm.active; i++) sim.step(1/60, {});
+  assert.ok(!sim.state.swarm.active, 'bees never made it home');
+  assert.equal(sim.state.over, null);
+});
+test('bees give up on a player they never get closer to', () => {
+  // the player keeps to the spot on a circle around the nest (inside giveUp) farthest from every bee
+  const tune = DIFFICULTIES.normal;
+  const sim = newSim();
+  const nest = findNest(sim);
+  const sw = sim.state.swarm;
+  const spots = Array.from({ length: 24 }, (_, i) => ({ x: nest.x + 8*Math.cos(i*Math.PI/12), z: nest.z + 8*Math.sin(i*Math.PI/12) }));
+  const room = (p) => Math.min(...sw.bees.map(b => dist2(b.x, b.z, p.x, p.z)));
+  let t = 0;
+  for (; t < 40 && !sw.gaveUp && !sim.state.over; t += 1/60) {
+    const p = spots.reduce((a, b) => room(b) > room(a) ? b : a);
+    sim.setPlayer(p.x, p.z, 0);
+    sim.step(1/60, {});
+  }
+  assert.equal(sim.state.over, null);
+  assert.ok(sw.gaveUp, 'kept chasing');
+  assert.ok(t > tune.stuck);
+});
+test('bee repellent smokes the nest out', () => {
+  const sim = newSim();
+  sim.state.inv.bee_repellent = 1;
+  assert.ok(findNest(sim));
+  assert.ok(!sim.state.swarm.active);
+  assert.equal(sim.state.inv.bee_repellent, 0);
+  assert.ok(!findNest(sim) || sim.state.swarm.active, 'the next nest was smoked out too');
+});
+
+// ---- Crafting ----
+test('crafting uses up the ingredients and makes the item', () => {
+  const sim = newSim();
+  sim.state.inv.apple = 3;
+  assert.equal(sim.canCraft('apple_jam'), true);
+  assert.equal(sim.craft('apple_jam'), true);
+  assert.equal(sim.state.inv.apple, 1);
+  assert.equal(sim.state.inv.apple_jam, 1);
+  const ev = sim.drainEvents();
+  assert.ok(ev.some(e => e.type === 'toast' && e.key === 'craft.made' && e.params.kind === 'apple_jam'));
+  assert.ok(ev.some(e => e.type === 'save'));
+});
+test('crafting refuses when something is missing', () => {
+  const sim = newSim();
+  sim.state.inv.mint = 2;
+  assert.equal(sim.canCraft('bee_repellent'), false);
+  assert.equal(sim.craft('bee_repellent'), false);
+  assert.equal(sim.craft('no_such_recipe'), false);
+  assert.deepEqual(sim.state.inv, { mint: 2 });
+  assert.ok(!types(sim).includes('save'));
+});
+test('recipes limited to a mode are not offered elsewhere', () => {
+  const cozy = newSim({ mode: 'cozy' });
+  assert.ok(!cozy.recipes.some(r => r.id === 'dragon_smoothie'));
+  Object.assign(cozy.state.inv, { dragonfruit: 1, orange: 1 });
+  assert.equal(cozy.craft('dragon_smoothie'), false);
+  assert.ok(newSim().recipes.some(r => r.id === 'dragon_smoothie'));
+});
+test('questReserved counts what the remaining quest steps still ask for', () => {
+  const sim = newSim();
+  const steps = QUEST_DEFS.valentino.steps;
+  const want = (from) => {
+    const out = {};
+    for (const st of steps.slice(from)) for (const [k, n] of Object.entries(st.requires)) out[k] = (out[k] || 0) + n;
+    return out;
+  };
+  assert.deepEqual(sim.questReserved(), want(0));
+  assert.ok(sim.questReserved().apple > 0, 'crafting apples away would not warn');
+  sim.state.quest.step = 1;
+  assert.deepEqual(sim.questReserved(), want(1));
+  sim.state.quest.step = steps.length;
+  assert.deepEqual(sim.questReserved(), {});
+});
+
+// ---- Rocks ----
+// flip every rock (standing right on it, so nothing else is nearer); returns id -> find
+function flipAll(sim){
+  const finds = {};
+  for (const r of sim.state.world.rocks) {
+    sim.setPlayer(r.x, r.z + 0.1, 0);
+    sim.act();
+    finds[r.id] = r.find;
+  }
+  return finds;
+}
+test('rock finds are seeded per rock, not by play', () => {
+  const a = flipAll(newSim());
+  assert.ok(Object.values(a).every(f => f && typeof f === 'object'), 'a rock did not flip');
+  assert.deepEqual(flipAll(newSim({ rng: mulberry32(99) })), a);
+  assert.notDeepEqual(flipAll(newSim({ seed: SEED + 1 })), a);
+});
+test('a flipped rock is saved and never gives a second find', () => {
+  const sim = newSim();
+  const r = sim.state.world.rocks[0];
+  sim.setPlayer(r.x, r.z + 0.1, 0);
+  sim.act();
+  assert.ok(types(sim).includes('rockFlip'));
+  const again = createSim({ save: sim.snapshot(), rng: mulberry32(7) });
+  const r2 = again.state.world.rocks[0];
+  assert.equal(r2.flipped, true);
+  assert.deepEqual(r2.find, r.find);
+  const pickups = again.state.pickups.length;
+  again.setPlayer(r2.x, r2.z + 0.1, 0);
+  again.act();
+  const ev = again.drainEvents();
+  assert.ok(!ev.some(e => e.type === 'rockFlip'));
+  assert.ok(ev.some(e => e.type === 'toast' && e.key === 'rock.flipped'));
+  assert.equal(again.state.pickups.length, pickups);
+});
+
+// ---- Quest ----
+test('quest steps advance through questEvaluate / questAction', () => {
+  const sim = newSim();
+  const quest = QUEST_DEFS.valentino;
+  const first = quest.steps[0];
+  assert.equal(sim.questEvaluate(first.npc), 'need');
+  Object.assign(sim.state.inv, first.requires);
+  assert.equal(sim.questEvaluate(first.npc), 'offer');
+  assert.equal(sim.questAction('give', first.npc), true);
+  assert.equal(sim.state.quest.step, 1);
+  for (const [k, n] of Object.entries(first.reward)) assert.equal(sim.state.inv[k], n);
+  for (const k of Object.keys(first.requires)) assert.equal(sim.state.inv[k], 0);
+  assert.ok(types(sim).includes('save'));
+});
+test('handing over a "fail" step out of order is game over', () => {
+  const sim = newSim();
+  const quest = QUEST_DEFS.valentino;
+  const later = quest.steps.find((s, i) => i > 0 && s.outOfOrder === 'fail');
+  Object.assign(sim.state.inv, later.requires);
+  assert.equal(sim.questEvaluate(later.npc), 'offer');
+  assert.equal(sim.questAction('give', later.npc), false);
+  assert.equal(sim.state.over?.key, quest.orderFail);
+  assert.equal(sim.state.quest.step, 0);
+});
+
+
+// ---- Furniture ----
+// stand just in front of a piece (its +z side, or -z for side = -1) and press A indoors
+function useFurniture(sim, id, side = 1){
+  const f = INDOOR_FURNITURE.find(f => f.id === id);
+  sim.state.stage = 'indoor';
+  sim.setPlayer(f.x, f.z + side*(f.hz + 0.5), 0);
+  sim.drainEvents();
+  sim.act();
+  return sim.drainEvents();
+}
+test('the bed sleeps till morning and saves', () => {
+  const sim = newSim();
+  sim.state.clock = 22;
+  const ev = useFurniture(sim, 'bed');
+  assert.equal(sim.state.clock, 8);
+  assert.deepEqual(ev.find(e => e.type === 'sleep').hours, 10);
+  assert.ok(ev.some(e => e.type === 'save'));
+});
+test('with the real clock the bed only saves', () => {
+  const sim = newSim({ dayLength: 'real' });
+  const clock = sim.state.clock;
+  const ev = useFurniture(sim, 'bed');
+  assert.equal(sim.state.clock, clock);
+  assert.ok(ev.some(e => e.type === 'toast' && e.key === 'bed.rest'));
+  assert.ok(ev.some(e => e.type === 'save'));
+});
+test('table, chair and shelf ask main.js for their panel', () => {
+  const sim = newSim();
+  // the chair stands at the table's +z side
+  assert.ok(useFurniture(sim, 'table', -1).some(e => e.type === 'craft'));
+  assert.ok(useFurniture(sim, 'chair').some(e => e.type === 'journal'));
+  assert.ok(useFurniture(sim, 'shelf').some(e => e.type === 'storage'));
+});
+test('the shelf keeps items out of the bag and in the save', () => {
+  const sim = newSim();
+  sim.state.inv.apple = 2;
+  assert.equal(sim.store('apple', 3), false);
+  assert.equal(sim.store('apple'), true);
+  assert.deepEqual([sim.state.inv.apple, sim.state.storage.apple], [1, 1]);
+  const again = createSim({ save: sim.snapshot(), rng: mulberry32(7) });
+  assert.deepEqual(again.state.storage, { apple: 1 });
+  assert.equal(again.takeOut('apple'), true);
+  assert.equal(again.takeOut('apple'), false);
+  assert.deepEqual([again.state.inv.apple, again.state.storage], [2, {}]);
+});
+
+if (failed) { console.log(`\n${failed} failed`); process.exitCode = 1; }
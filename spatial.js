@@ -0,0 +1,102 @@
+// Uniform-grid spatial hash for the sim (no three.js, no DOM).
+// Items are plain objects with x, z and an optional radius r; an item sits in every cell its circle touches.
+//   const hash = createSpatialHash(4);
+//   hash.insert(tree); hash.some(x, z, 2.0, o => hit(o)); hash.nearest(x, z, 2.3);
+// Moving items must call hash.move(item) after changing x/z.
+// node spatial.test.js runs the insert / move / query checks.
+(function(root, factory){
+  const api = factory();
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else root.IslandSpatial = api;
+})(this, function(){
+
+function createSpatialHash(cell = 4.0){
+  const cells = new Map(); // key -> items[]
+  const where = new Map(); // item -> keys[] it is stored under
+  const key = (ix, iz) => (ix + 32768) * 65536 + (iz + 32768);
+  const ixOf = (v) => Math.floor(v / cell);
+
+  function keysFor(x, z, r){
+    const keys = [];
+    for (let iz=ixOf(z - r); iz<=ixOf(z + r); iz++) {
+      for (let ix=ixOf(x - r); ix<=ixOf(x + r); ix++) keys.push(key(ix, iz));
+    }
+    return keys;
+  }
+
+  function insert(item){
+    const keys = keysFor(item.x, item.z, item.r || 0);
+    for (const k of keys) {
+      let list = cells.get(k);
+      if (!list) cells.set(k, list = []);
+      list.push(item);
+    }
+    where.set(item, keys);
+    return item;
+  }
+  function remove(item){
+    const keys = where.get(item);
+    if (!keys) return;
+    for (const k of keys) {
+      const list = cells.get(k);
+      const i = list.indexOf(item);
+      if (i >= 0) list.splice(i, 1);
+      if (!list.length) cells.delete(k);
+    }
+    where.delete(item);
+  }
+  // re-file an item after it moved (cheap when it stayed in the same cells)
+  function move(item){
+    const keys = where.get(item);
+    if (!keys) return insert(item);
+    const r = item.r || 0;
+    if (keys[0] === key(ixOf(item.x - r), ixOf(item.z - r)) && keys[keys.length-1] === key(ixOf(item.x + r), ixOf(item.z + r))) return item;
+    remove(item);
+    return insert(item);
+  }
+  function clear(){ cells.clear(); where.clear(); }
+
+  // Candidates in the cells overlapping the circle (x, z, radius); fn returning true stops the walk.
+  // Returns true if it was stopped.
+  function some(x, z, radius, fn){
+    const seen = new Set();
+    for (let iz=ixOf(z - radius); iz<=ixOf(z + radius); iz++) {
+      for (let ix=ixOf(x - radius); ix<=ixOf(x + radius); ix++) {
+        const list = cells.get(key(ix, iz));
+        if (!list) continue;
+        for (const o of list) {
+          if (seen.has(o)) continue;
+          seen.add(o);
+          if (fn(o)) return true;
+        }
+      }
+    }
+    return false;
+  }
+  function forEach(x, z, radius, fn){ some(x, z, radius, (o) => { fn(o); return false; }); }
+
+  // Closest item center within maxDist (optionally filtered), or null
+  function nearest(x, z, maxDist, filter){
+    let best = null, bestD = maxDist * maxDist;
+    forEach(x, z, maxDist, (o) => {
+      if (filter && !filter(o)) return;
+      const d = (o.x-x)*(o.x-x) + (o.z-z)*(o.z-z);
+      if (d < bestD) { bestD = d; best = o; }
+    });
+    return best;
+  }
+
+  // For debug views: [{ x, z, size, count }] of occupied cells (x/z = min corner)
+  function occupied(){
+    const out = [];
+    for (const [k, list] of cells) {
+      out.push({ x: (Math.floor(k / 65536) - 32768) * cell, z: (k % 65536 - 32768) * cell, size: cell, count: list.length });
+    }
+    return out;
+  }
+
+  return { cell, insert, remove, move, clear, some, forEach, nearest, occupied, get size(){ return where.size; } };
+}
+
+return { createSpatialHash };
+});
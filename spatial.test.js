@@ -0,0 +1,73 @@
+// Headless checks for spatial.js (no browser, no deps):  node spatial.test.js
+const assert = require('node:assert/strict');
+const { createSpatialHash } = require('./spatial.js');
+
+let failed = 0;
+function test(name, fn){
+  try{ fn(); console.log(`ok   ${name}`); }
+  catch(e){ failed++; console.log(`FAIL ${name}\n     ${e.message}`); }
+}
+const found = (hash, x, z, radius) => { const out = []; hash.forEach(x, z, radius, o => out.push(o.id)); return out.sort(); };
+
+test('insert files an item under every cell its circle touches', () => {
+  const hash = createSpatialHash(4);
+  const big = hash.insert({ id: 'big', x: 4, z: 4, r: 1 });
+  assert.equal(hash.size, 1);
+  const cells = hash.occupied();
+  assert.equal(cells.length, 4);
+  assert.deepEqual(cells.map(c => [c.x, c.z]).sort(), [[0, 0], [0, 4], [4, 0], [4, 4]]);
+  assert.deepEqual(found(hash, -2, -2, 0.5), []);
+  assert.deepEqual(found(hash, 1, 1, 0.5), ['big']);
+  assert.ok(cells.every(c => c.count === 1 && c.size === 4));
+  assert.equal(hash.nearest(1, 1, 10), big);
+});
+test('some() visits each item once and stops when fn returns true', () => {
+  const hash = createSpatialHash(2);
+  hash.insert({ id: 'a', x: 0, z: 0, r: 3 });
+  hash.insert({ id: 'b', x: 1, z: 1 });
+  let visits = 0;
+  assert.equal(hash.some(0, 0, 4, () => { visits++; return false; }), false);
+  assert.equal(visits, 2);
+  visits = 0;
+  assert.equal(hash.some(0, 0, 4, () => ++visits === 1), true);
+  assert.equal(visits, 1);
+});
+test('move re-files an item, remove forgets it', () => {
+  const hash = createSpatialHash(4);
+  const bee = hash.insert({ id: 'bee', x: 1, z: 1 });
+  bee.x = 1.5;
+  hash.move(bee);
+  assert.equal(hash.occupied().length, 1);
+  bee.x = 13; bee.z = -6;
+  hash.move(bee);
+  assert.deepEqual(found(hash, 1, 1, 1), []);
+  assert.deepEqual(found(hash, 13, -6, 1), ['bee']);
+  assert.equal(hash.occupied().length, 1, 'left a stale cell behind');
+  hash.remove(bee);
+  assert.equal(hash.size, 0);
+  assert.deepEqual(hash.occupied(), []);
+  hash.remove(bee);
+  hash.move(bee);
+  assert.deepEqual(found(hash, 13, -6, 1), ['bee'], 'move of an unknown item inserts it');
+});
+test('nearest picks the closest center within maxDist, honouring the filter', () => {
+  const hash = createSpatialHash(4);
+  const a = hash.insert({ id: 'a', x: 3, z: 0, kind: 'rock' });
+  const b = hash.insert({ id: 'b', x: 1, z: 1, kind: 'tree' });
+  hash.insert({ id: 'c', x: 9, z: 0, kind: 'rock' });
+  assert.equal(hash.nearest(0, 0, 5), b);
+  assert.equal(hash.nearest(0, 0, 5, o => o.kind === 'rock'), a);
+  assert.equal(hash.nearest(0, 0, 1), null);
+  hash.clear();
+  assert.equal(hash.size, 0);
+  assert.equal(hash.nearest(0, 0, 50), null);
+});
+test('negative coordinates land in their own cells', () => {
+  const hash = createSpatialHash(4);
+  hash.insert({ id: 'w', x: -0.5, z: -0.5 });
+  hash.insert({ id: 'e', x: 0.5, z: 0.5 });
+  assert.deepEqual(hash.occupied().map(c => [c.x, c.z]).sort(), [[-4, -4], [0, 0]]);
+  assert.deepEqual(found(hash, -2, -2, 1), ['w']);
+});
+
+if (failed) { console.log(`\n${failed} failed`); process.exitCode = 1; }